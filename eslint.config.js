@@ -30,4 +30,8 @@ export default [
       ],
     },
   },
+  {
+    files: ['server/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ]
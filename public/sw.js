@@ -0,0 +1,132 @@
+/**
+ * 서비스 워커 – 오프라인 학습용 캐시
+ *   • 설치 시 앱 셸 + 기본 단어장(word.csv) 미리 캐시.
+ *     빌드 파일 이름은 해시가 붙으므로 index.html 에서 /assets/ 경로를 읽어 함께 캐시.
+ *   • 페이지 이동: 네트워크 우선, 실패하면 캐시된 index.html.
+ *     정상 응답(2xx, 리다이렉트 아님)만 셸로 저장 – 404·오류·캡티브 포털 페이지가 셸을 덮지 않게.
+ *     셸을 새로 저장할 때 index.html 이 더는 참조하지 않는 /assets/ 파일은 캐시에서 지움.
+ *   • word.csv: 캐시 먼저 응답하고 뒤에서 새로 받아 내용이 바뀌었으면 DECK_UPDATED 알림.
+ *   • 그 밖의 같은 출처 GET(해시된 빌드 파일 등): 캐시 우선, 없으면 받아서 저장.
+ *   • 새 워커는 대기 → 앱에서 SKIP_WAITING 메시지를 받으면 교체.
+ */
+const CACHE = 'word-quiz-v1'; // 셸 구성이 바뀌면 올려서 새 워커 설치를 유도
+const DECK_URL = '/word.csv';
+const SHELL = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/vite.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+];
+
+const shellAssets = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1]);
+
+// 지금 셸이 쓰지 않는 해시 빌드 파일 정리
+const pruneAssets = async (cache, keep) => {
+  const wanted = new Set(keep);
+  const requests = await cache.keys();
+  await Promise.all(
+    requests
+      .map((req) => new URL(req.url).pathname)
+      .filter((path) => path.startsWith('/assets/') && !wanted.has(path))
+      .map((path) => cache.delete(path))
+  );
+};
+
+const precache = async () => {
+  const cache = await caches.open(CACHE);
+  await cache.addAll([...SHELL, DECK_URL]);
+  const assets = shellAssets(await (await cache.match('/index.html')).text());
+  await cache.addAll(assets);
+  await pruneAssets(cache, assets);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/*─────────────────────────────── 전략 */
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach((client) => client.postMessage(message));
+};
+
+const refreshDeck = async (request, cached) => {
+  const cache = await caches.open(CACHE);
+  const fresh = await fetch(request, { cache: 'no-cache' });
+  if (!fresh.ok) return fresh;
+  const [freshText, cachedText] = await Promise.all([
+    fresh.clone().text(),
+    cached ? cached.clone().text() : Promise.resolve(null),
+  ]);
+  await cache.put(DECK_URL, fresh.clone());
+  if (cachedText !== null && freshText !== cachedText) notifyClients({ type: 'DECK_UPDATED' });
+  return fresh;
+};
+
+const deckFirst = async (event) => {
+  const cached = await caches.match(DECK_URL);
+  const refresh = refreshDeck(event.request, cached);
+  if (cached) {
+    event.waitUntil(refresh.catch(() => undefined));
+    return cached;
+  }
+  return refresh;
+};
+
+const refreshShell = async (response) => {
+  const cache = await caches.open(CACHE);
+  const assets = shellAssets(await response.clone().text());
+  // 새 셸이 쓸 빌드 파일을 먼저 받아 둬야 정리 후에도 오프라인으로 뜸
+  const cached = await Promise.all(assets.map((path) => cache.match(path)));
+  await cache.addAll(assets.filter((_, i) => !cached[i]));
+  await cache.put('/index.html', response);
+  await pruneAssets(cache, assets);
+};
+
+const networkFirstPage = async (event) => {
+  try {
+    const fresh = await fetch(event.request);
+    const isHtml = fresh.headers.get('content-type')?.includes('text/html');
+    if (fresh.ok && !fresh.redirected && isHtml) event.waitUntil(refreshShell(fresh.clone()));
+    return fresh;
+  } catch {
+    return (await caches.match('/index.html')) || Response.error();
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const fresh = await fetch(request);
+  if (fresh.ok) {
+    const cache = await caches.open(CACHE);
+    cache.put(request, fresh.clone());
+  }
+  return fresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname === DECK_URL) event.respondWith(deckFirst(event));
+  else if (request.mode === 'navigate') event.respondWith(networkFirstPage(event));
+  else event.respondWith(cacheFirst(request));
+});
@@ -0,0 +1,68 @@
+/**
+ * 동기화 테스트용 로컬 서버 (src/lib/sync 의 REST 어댑터 상대)
+ *   • npm run sync-server [-- --port 8787]
+ *   • POST /spaces/:space/changes { changes } – id 가 같은 변경은 한 번만 저장.
+ *   • GET  /spaces/:space/changes?since=N   – { changes: [seq > N], cursor }
+ *   • 메모리에만 보관 – 서버를 끄면 사라짐.
+ */
+import http from 'node:http';
+
+const portArg = process.argv.indexOf('--port');
+const PORT = Number(portArg > -1 ? process.argv[portArg + 1] : process.env.PORT) || 8787;
+
+const spaces = new Map(); // space → { seq, changes: [{ seq, ...change }], ids: Set }
+
+const spaceOf = (name) => {
+  if (!spaces.has(name)) spaces.set(name, { seq: 0, changes: [], ids: new Set() });
+  return spaces.get(name);
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    ...(body ? { 'Content-Type': 'application/json' } : {}),
+  });
+  res.end(body ? JSON.stringify(body) : undefined);
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => (data += chunk));
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const match = url.pathname.match(/^\/spaces\/([^/]+)\/changes$/);
+  if (!match) return send(res, 404, { error: 'not found' });
+  const space = spaceOf(decodeURIComponent(match[1]));
+
+  if (req.method === 'GET') {
+    const since = Number(url.searchParams.get('since')) || 0;
+    return send(res, 200, { changes: space.changes.filter((c) => c.seq > since), cursor: space.seq });
+  }
+  if (req.method === 'POST') {
+    try {
+      const { changes = [] } = JSON.parse(await readBody(req));
+      changes
+        .filter((c) => c && c.id && !space.ids.has(c.id))
+        .forEach((c) => {
+          space.seq += 1;
+          space.ids.add(c.id);
+          space.changes.push({ ...c, seq: space.seq });
+        });
+      console.log(`[${match[1]}] +${changes.length} → ${space.seq}`);
+      return send(res, 204);
+    } catch {
+      return send(res, 400, { error: 'invalid JSON' });
+    }
+  }
+  return send(res, 405, { error: 'method not allowed' });
+});
+
+server.listen(PORT, () => console.log(`mock sync server: http://localhost:${PORT}`));
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   ChevronLeft,
   ChevronRight,
@@ -12,8 +12,105 @@ import {
   CreditCard,
   Eye,
   EyeOff,
+  Clock,
+  Keyboard,
+  ListChecks,
+  Library,
+  BarChart3,
+  Shuffle,
+  Link,
+  Settings,
+  HelpCircle,
+  Headphones,
+  Archive,
+  UserCircle,
+  Printer,
+  Timer,
+  LayoutGrid,
+  ClipboardCheck,
+  Cloud,
+  Target,
 } from 'lucide-react';
-import Papa from 'papaparse';
+import { loadSrs, saveSrs, scheduleCard, isDueToday, isMastered, previewIntervals } from './lib/srs';
+import { getWordId, splitWord } from './lib/words';
+import { shuffleArray, mulberry32, hashSeed, randomSeed } from './lib/shuffle';
+import {
+  restoreSession,
+  saveSession,
+  saveSeeds,
+  seedKey,
+  clearSharedOrder,
+  shareUrl,
+} from './lib/session';
+import TypingQuiz from './components/TypingQuiz';
+import ChoiceQuiz from './components/ChoiceQuiz';
+import DeckManager from './components/DeckManager';
+import { listDecks, loadDeckWords, loadActiveDeck, saveActiveDeck, BUILTIN_DECK } from './lib/decks';
+import StatsDashboard from './components/StatsDashboard';
+import { logEvent, loadEvents } from './lib/stats';
+import StudyPlanSettings from './components/StudyPlanSettings';
+import ShortcutHelp from './components/ShortcutHelp';
+import SpeakButton from './components/SpeakButton';
+import ListeningDrill from './components/ListeningDrill';
+import UpdatePrompt from './components/UpdatePrompt';
+import { registerServiceWorker } from './lib/pwa';
+import SearchBar from './components/SearchBar';
+import WordDetails from './components/WordDetails';
+import { loadNotes, setNote } from './lib/notes';
+import { loadStarred, saveStarred, recordStarRemoval } from './lib/starred';
+import BackupPanel from './components/BackupPanel';
+import ProfileManager from './components/ProfileManager';
+import PrintWorksheet from './components/PrintWorksheet';
+import TimedChallenge from './components/TimedChallenge';
+import MatchGame from './components/MatchGame';
+import DeckReport from './components/DeckReport';
+import SyncSettings from './components/SyncSettings';
+import { buildWeakDeck } from './lib/weak';
+import WeakReasons from './components/WeakReasons';
+import {
+  loadSyncSettings,
+  saveSyncSettings,
+  syncStatus,
+  syncNow,
+  seedOutbox,
+  recordChange,
+  createRestAdapter,
+  SYNC_INTERVAL,
+} from './lib/sync';
+import { loadProfiles, switchProfile } from './lib/profiles';
+import { GRADE_KEYS, shouldIgnoreKey, isActivationOnButton } from './lib/shortcuts';
+import {
+  loadPlan,
+  savePlan,
+  buildSchedule,
+  dayLabel,
+  dayWordIndices,
+  studyDayOfIndex,
+} from './lib/plan';
+
+const GRADE_BUTTONS = [
+  { grade: 'again', label: 'Again', className: 'bg-red-500 hover:bg-red-600' },
+  { grade: 'hard', label: 'Hard', className: 'bg-orange-500 hover:bg-orange-600' },
+  { grade: 'good', label: 'Good', className: 'bg-green-600 hover:bg-green-700' },
+  { grade: 'easy', label: 'Easy', className: 'bg-sky-500 hover:bg-sky-600' },
+];
+
+const VIEW_MODES = [
+  { value: 'card', label: '카드 모드', Icon: CreditCard },
+  { value: 'list', label: '외우기 모드', Icon: List },
+  { value: 'type', label: '타이핑 모드', Icon: Keyboard },
+  { value: 'choice', label: '객관식 모드', Icon: ListChecks },
+  { value: 'listen', label: '듣기 모드', Icon: Headphones },
+  { value: 'timed', label: '챌린지', Icon: Timer },
+  { value: 'match', label: '짝 맞추기', Icon: LayoutGrid },
+];
+
+const LIST_FILTERS = [
+  { value: 'all', label: '전체' },
+  { value: 'starred', label: '별표' },
+  { value: 'due', label: '복습 예정' },
+  { value: 'mastered', label: '외운 단어' },
+];
 
 /**
  * WordQuizApp – React + Tailwind 기반 단어 학습 앱
@@ -21,118 +118,248 @@ import Papa from 'papaparse';
  *   • 카드 모드(기본): 같은 일차 내 단어를 한 번만 셔플.
  *   • 리스트(외우기) 모드/헷갈리는 단어 모드: 원본 순서 유지.
  *   • 카드 ↔ 리스트 토글 시에도 셔플 결과가 유지돼야 함.
+ *   • 학습 대상(source): 일차 | 헷갈리는 단어 | 오늘 복습 | 약한 단어 → currentWords 를 보기 모드(VIEW_MODES)에 넘김.
+ *   • 일차·위치·방향·보기 모드를 저장해 새로고침 후 이어하기(lib/session).
+ *   • 헤더 도구(단어장·계획·통계·백업·인쇄·검사·동기화·프로필)는 각 패널 컴포넌트가 맡음.
  */
 const WordQuizApp = () => {
   /*──────────────────────────────── 상태 */
+  const [initial] = useState(() =>
+    restoreSession(loadActiveDeck())
+  );
   const [words, setWords] = useState([]);
-  const [currentDay, setCurrentDay] = useState(1);
-  const [currentIndex, setCurrentIndex] = useState(0);
+  const [currentDay, setCurrentDay] = useState(initial.session.currentDay ?? 1);
+  const [rangeEnd, setRangeEnd] = useState(initial.session.rangeEnd ?? null); // null = 한 일차만
+  const [plan, setPlan] = useState(() => loadPlan());
+  const [currentIndex, setCurrentIndex] = useState(initial.session.currentIndex ?? 0);
   const [isFlipped, setIsFlipped] = useState(false);
-  const [mode, setMode] = useState('ko-to-en'); // 'ko-to-en' | 'en-to-ko'
-  const [confusingWords, setConfusingWords] = useState([]);
-  const [showConfusing, setShowConfusing] = useState(false);
-  const [totalDays, setTotalDays] = useState(0);
+  const [mode, setMode] = useState(initial.session.mode ?? 'ko-to-en'); // 'ko-to-en' | 'en-to-ko'
+  const [confusingWords, setConfusingWords] = useState(() => loadStarred());
+  const [notes, setNotes] = useState(() => loadNotes());
+  const [source, setSource] = useState(initial.session.source ?? 'day'); // 'day' | 'confusing' | 'due' | 'weak'
+  const [seeds, setSeeds] = useState(initial.seeds);
+  const [srsData, setSrsData] = useState(() => loadSrs());
+  const [dueQueue, setDueQueue] = useState([]);
+  const [weakQueue, setWeakQueue] = useState([]); // buildWeakDeck 결과
+  const [weakLoading, setWeakLoading] = useState(false); // 학습 기록을 읽는 동안은 보기 모드를 띄우지 않음
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
-  const [viewMode, setViewMode] = useState('card'); // 'card' | 'list'
+  const [viewMode, setViewMode] = useState(initial.session.viewMode ?? 'card'); // 'card' | 'list' | 'type' | 'choice' | 'listen' | 'timed' | 'match'
   const [hiddenAnswers, setHiddenAnswers] = useState(new Set());
+  const [listFilter, setListFilter] = useState('all'); // LIST_FILTERS 값
+  const [deckId, setDeckId] = useState(() => loadActiveDeck());
+  const [decks, setDecks] = useState([BUILTIN_DECK]);
+  const [showDecks, setShowDecks] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showPlan, setShowPlan] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [showPrint, setShowPrint] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [showSync, setShowSync] = useState(false);
+  const [syncSettings, setSyncSettings] = useState(() => loadSyncSettings());
+  const [syncState, setSyncState] = useState({ state: 'idle', message: '', pending: 0, lastSyncedAt: 0 });
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [applyAppUpdate, setApplyAppUpdate] = useState(null);
+  const [deckUpdated, setDeckUpdated] = useState(false);
+  const [deckVersion, setDeckVersion] = useState(0);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [sharedNotice, setSharedNotice] = useState(() =>
+    initial.shared?.refused ? '다른 단어장에서 만든 공유 링크라 열지 않았습니다. 같은 단어장을 고른 뒤 다시 열어 주세요.' : ''
+  );
 
-  /*─────────────────────────────── 유틸: Fisher‑Yates */
-  const shuffleArray = (arr) => {
-    const a = [...arr];
-    for (let i = a.length - 1; i > 0; i -= 1) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [a[i], a[j]] = [a[j], a[i]];
-    }
-    return a;
-  };
-
-  /*─────────────────────────────── CSV 로드 */
+  /*─────────────────────────────── 덱 로드 */
   useEffect(() => {
     document.title = "⚡️ GRE 단어 퀴즈 ";
-    const loadCSV = async () => {
+    let cancelled = false;
+    const loadDeck = async () => {
       try {
         setIsLoading(true);
-        const res = await fetch('/word.csv');
-        const text = await res.text();
-
-        Papa.parse(text, {
-          header: true,
-          skipEmptyLines: true,
-          dynamicTyping: true,
-          delimitersToGuess: [',', '\t', '|', ';'],
-          complete: ({ data, errors }) => {
-            if (errors.length) console.warn('CSV parse warnings', errors);
-
-            const cleaned = data
-              .filter((row) => row && Object.values(row).some((v) => v !== null && v !== ''))
-              .map((row) => {
-                const obj = {};
-                Object.keys(row).forEach((k) => {
-                  obj[k.trim()] = typeof row[k] === 'string' ? row[k].trim() : row[k];
-                });
-                return obj;
-              });
-
-            setWords(cleaned);
-            setTotalDays(Math.ceil(cleaned.length / 100));
-            setIsLoading(false);
-          },
-          error: (err) => {
-            console.error(err);
-            setError('CSV 파일을 읽는 중 오류가 발생했습니다.');
-            setIsLoading(false);
-          },
-        });
+        setError('');
+        const loaded = await loadDeckWords(deckId);
+        if (cancelled) return;
+        setWords(loaded);
       } catch (e) {
         console.error(e);
-        setError('word.csv 파일을 찾을 수 없습니다.');
-        setIsLoading(false);
+        if (!cancelled) {
+          setError(
+            deckId === BUILTIN_DECK.id
+              ? 'word.csv 파일을 찾을 수 없습니다.'
+              : '단어장을 불러오는 중 오류가 발생했습니다.'
+          );
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false);
       }
     };
 
-    loadCSV();
-  }, []);
+    loadDeck();
+    return () => {
+      cancelled = true;
+    };
+  }, [deckId, deckVersion]);
 
-  /*─────────────────────────────── 로컬스토리지 – 헷갈리는 단어 */
+  /*─────────────────────────────── 서비스 워커 */
   useEffect(() => {
-    const saved = localStorage.getItem('confusingWords');
-    if (saved) {
-      try {
-        setConfusingWords(JSON.parse(saved));
-      } catch (e) {
-        console.error('confusingWords JSON error', e);
-      }
+    registerServiceWorker({
+      onAppUpdate: (apply) => setApplyAppUpdate(() => apply),
+      onDeckUpdate: () => setDeckUpdated(true),
+    });
+  }, []);
+  const reloadDeck = () => {
+    setDeckUpdated(false);
+    setDeckVersion((v) => v + 1);
+  };
+
+  /*─────────────────────────────── 덱 목록 (IndexedDB) */
+  const refreshDecks = async () => {
+    try {
+      setDecks(await listDecks());
+    } catch (e) {
+      console.error('deck list error', e);
     }
+  };
+  useEffect(() => {
+    refreshDecks();
   }, []);
 
+  /*─────────────────────────────── 세션 저장 & 복원 */
+  useEffect(() => {
+    if (initial.shared) clearSharedOrder();
+  }, [initial]);
+  useEffect(() => {
+    // 오늘 복습·약한 단어 큐는 스냅샷이라 복원하지 않고 일차로 되돌림
+    const isSnapshot = source === 'due' || source === 'weak';
+    saveSession({
+      currentDay,
+      rangeEnd,
+      currentIndex: isSnapshot ? 0 : currentIndex,
+      mode,
+      viewMode,
+      source: isSnapshot ? 'day' : source,
+    });
+  }, [currentDay, rangeEnd, currentIndex, mode, viewMode, source]);
+  useEffect(() => {
+    saveSeeds(seeds);
+  }, [seeds]);
+
+  /*─────────────────────────────── 학습 계획 → 일차 구성 */
+  const schedule = useMemo(() => buildSchedule(words.length, plan), [words.length, plan]);
+  const totalDays = schedule.days.length;
+
+  // 공유 링크의 하루 분량은 첫 로드 뒤 한 번만 비교 (시험일 계획은 단어 수로 분량이 정해짐)
+  const sharedSizeChecked = useRef(false);
+  useEffect(() => {
+    const { shared } = initial;
+    if (sharedSizeChecked.current || !shared || shared.refused || !words.length) return;
+    sharedSizeChecked.current = true;
+    if (shared.size && shared.size !== schedule.size)
+      setSharedNotice(
+        `공유한 사람은 하루 ${shared.size}개, 지금 계획은 하루 ${schedule.size}개라 같은 단어·순서가 아닐 수 있습니다.`
+      );
+  }, [initial, words.length, schedule.size]);
+
+  /*─────────────────────────────── 일차별 시드 */
+  const daySeedKey = seedKey(deckId, rangeEnd ? `${currentDay}-${rangeEnd}` : currentDay);
+  const daySeed = seeds[daySeedKey] ?? hashSeed(daySeedKey);
+  useEffect(() => {
+    if (seeds[daySeedKey] === undefined) setSeeds((s) => ({ ...s, [daySeedKey]: daySeed }));
+  }, [seeds, daySeedKey, daySeed]);
+
   /*─────────────────────────────── 일차별 ordered/shuffled 캐싱 */
   const daySlices = useMemo(() => {
-    const start = (currentDay - 1) * 100;
-    const ordered = words.slice(start, start + 100);
+    const ordered = dayWordIndices(schedule, currentDay, rangeEnd ?? currentDay, words.length).map(
+      (i) => words[i]
+    );
     return {
       ordered,
-      shuffled: shuffleArray(ordered),
+      shuffled: shuffleArray(ordered, mulberry32(daySeed)),
     };
-  }, [words, currentDay]); // viewMode 제외 → 카드✔리스트 토글해도 셔플 유지
+  }, [words, schedule, currentDay, rangeEnd, daySeed]); // viewMode 제외 → 카드✔리스트✔타이핑 전환해도 셔플 유지
+
+  /*─────────────────────────────── 오늘 복습 대상 */
+  const collectDue = (data) => words.filter((w) => isDueToday(data[getWordId(w)]));
+  const dueCount = useMemo(
+    () => words.filter((w) => isDueToday(srsData[getWordId(w)])).length,
+    [words, srsData]
+  );
 
   /*─────────────────────────────── currentWords 계산 */
-  const currentWords = showConfusing
+  const showConfusing = source === 'confusing';
+  const showDue = source === 'due';
+  const showWeak = source === 'weak';
+  const weakById = useMemo(() => new Map(weakQueue.map((e) => [e.wordId, e])), [weakQueue]);
+  const confusingIds = useMemo(() => new Set(confusingWords.map(getWordId)), [confusingWords]);
+  const baseWords = showConfusing
     ? confusingWords
-    : viewMode === 'card'
-    ? daySlices.shuffled
-    : daySlices.ordered;
+    : showDue
+    ? dueQueue // 진입 시점 스냅샷 → 채점해도 순서가 흔들리지 않음
+    : showWeak
+    ? weakQueue.map((e) => e.word) // 마찬가지로 진입 시점 점수순
+    : viewMode === 'list' || viewMode === 'match'
+    ? daySlices.ordered
+    : daySlices.shuffled;
+  const matchesListFilter = (word) => {
+    const id = getWordId(word);
+    if (listFilter === 'starred') return confusingIds.has(id);
+    if (listFilter === 'due') return isDueToday(srsData[id]);
+    if (listFilter === 'mastered') return isMastered(srsData[id]);
+    return true;
+  };
+  const currentWords =
+    viewMode === 'list' && listFilter !== 'all' ? baseWords.filter(matchesListFilter) : baseWords;
+
+  /*─────────────────────────────── 복원된 위치 보정 (덱이 바뀌었거나 짧아진 경우) */
+  useEffect(() => {
+    if (totalDays && currentDay > totalDays) setCurrentDay(1);
+    if (totalDays && rangeEnd && (rangeEnd > totalDays || rangeEnd <= currentDay)) setRangeEnd(null);
+  }, [totalDays, currentDay, rangeEnd]);
+  useEffect(() => {
+    if (currentWords.length && currentIndex >= currentWords.length) setCurrentIndex(currentWords.length - 1);
+  }, [currentWords.length, currentIndex]);
+
+  const sourceLabel = showConfusing
+    ? '헷갈리는 단어'
+    : showDue
+    ? '오늘 복습'
+    : showWeak
+    ? '약한 단어'
+    : rangeEnd
+    ? `${currentDay}–${rangeEnd}일차`
+    : dayLabel(schedule, currentDay);
 
   /*─────────────────────────────── 현재 단어 & 키 */
   const currentWord = currentWords[currentIndex];
-  const { korean = '', english = '' } = useMemo(() => {
-    if (!currentWord) return {};
-    const [kKey, eKey] = Object.keys(currentWord);
-    return { korean: currentWord[kKey] || '', english: currentWord[eKey] || '' };
-  }, [currentWord]);
+  const { korean, english } = useMemo(() => splitWord(currentWord), [currentWord]);
+
+  /*─────────────────────────────── 학습 기록 */
+  const wordDays = useMemo(
+    () => new Map(words.map((w, i) => [getWordId(w), studyDayOfIndex(schedule, i)])),
+    [words, schedule]
+  );
+  const track = (type, word, extra = {}) => {
+    const wordId = getWordId(word);
+    logEvent({ type, deckId, wordId, day: wordDays.get(wordId), mode, ...extra });
+  };
+  const currentWordId = getWordId(currentWord);
+  useEffect(() => {
+    if (viewMode !== 'card' || !currentWordId) return;
+    logEvent({ type: 'view', deckId, wordId: currentWordId, day: wordDays.get(currentWordId), mode });
+  }, [viewMode, currentWordId, currentIndex, deckId, wordDays, mode]);
+
+  const intervals = useMemo(
+    () => previewIntervals(srsData[getWordId(currentWord)]),
+    [srsData, currentWord]
+  );
 
   /*─────────────────────────────── 핸들러 */
-  const flipCard = () => setIsFlipped((f) => !f);
+  const flipCard = () => {
+    if (!isFlipped && currentWord) track('flip', currentWord);
+    setIsFlipped((f) => !f);
+  };
+  const recordAnswer = (word, quiz, verdict, extra = {}) =>
+    track('answer', word, { quiz, verdict, correct: verdict === 'correct', ...extra });
   const prevWord = () => {
     if (currentIndex > 0) {
       setIsFlipped(false);
@@ -145,35 +372,173 @@ const WordQuizApp = () => {
       setCurrentIndex((i) => i + 1);
     }
   };
+  const addWordsToConfusing = (list) => {
+    const seen = new Set(confusingIds);
+    const fresh = list.filter((word) => {
+      const id = getWordId(word);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+    if (fresh.length) {
+      const starredAt = Date.now();
+      const updated = [...confusingWords, ...fresh.map((w) => ({ ...w, starredAt }))];
+      setConfusingWords(updated);
+      saveStarred(updated);
+      fresh.forEach((w) => {
+        recordChange('star', getWordId(w), w, starredAt);
+        track('star', w);
+      });
+    }
+  };
   const addToConfusing = () => {
+    if (currentWord) addWordsToConfusing([currentWord]);
+  };
+  const gradeCard = (grade) => {
     if (!currentWord) return;
-    const exists = confusingWords.some((w) => JSON.stringify(w) === JSON.stringify(currentWord));
-    if (!exists) {
-      const updated = [...confusingWords, currentWord];
-      setConfusingWords(updated);
-      localStorage.setItem('confusingWords', JSON.stringify(updated));
+    const id = getWordId(currentWord);
+    const updated = { ...srsData, [id]: scheduleCard(srsData[id], grade) };
+    track('grade', currentWord, { grade });
+    setSrsData(updated);
+    saveSrs(updated);
+    recordChange('srs', id, updated[id]);
+    setIsFlipped(false);
+    if (currentIndex < currentWords.length - 1) {
+      setCurrentIndex((i) => i + 1);
+    } else if (showDue) {
+      // 큐를 다 돌면 아직 남은(Again 등) 카드로 다시 채움
+      setDueQueue(shuffleArray(collectDue(updated)));
+      setCurrentIndex(0);
     }
   };
   const removeFromConfusing = () => {
-    const updated = confusingWords.filter((_, i) => i !== currentIndex);
+    if (!currentWord) return;
+    const id = getWordId(currentWord);
+    const updated = confusingWords.filter((w) => getWordId(w) !== id);
     setConfusingWords(updated);
-    localStorage.setItem('confusingWords', JSON.stringify(updated));
+    const removedAt = Date.now();
+    recordStarRemoval(id, removedAt);
+    saveStarred(updated);
+    recordChange('unstar', id, null, removedAt);
     if (currentIndex >= updated.length && updated.length) setCurrentIndex(updated.length - 1);
     setIsFlipped(false);
   };
+  const saveNote = (word, text) => {
+    const id = getWordId(word);
+    const next = setNote(notes, id, text);
+    setNotes(next);
+    recordChange('note', id, next[id] ?? null);
+  };
+  const changeProfile = (id) => {
+    switchProfile(id);
+    window.location.reload();
+  };
+  const reloadUserData = () => {
+    // 백업 가져오기·동기화 후 저장소에서 다시 읽기 – 계획이 바뀌었으면 진행 위치도 재배치
+    setConfusingWords(loadStarred());
+    setNotes(loadNotes());
+    setSrsData(loadSrs());
+    const stored = loadPlan();
+    if (JSON.stringify(stored) !== JSON.stringify(plan)) switchPlan(stored);
+  };
   const changeDay = (day) => {
     setCurrentDay(day);
+    if (rangeEnd && rangeEnd <= day) setRangeEnd(null);
+    setCurrentIndex(0);
+    setIsFlipped(false);
+    setSource('day');
+    setHiddenAnswers(new Set());
+  };
+  const reshuffleDay = () => {
+    setSeeds((s) => ({ ...s, [daySeedKey]: randomSeed() }));
+    setCurrentIndex(0);
+    setIsFlipped(false);
+  };
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(currentDay, daySeed, deckId, schedule.size));
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    } catch (e) {
+      console.error('clipboard error', e);
+    }
+  };
+  const changeRangeEnd = (end) => {
+    setRangeEnd(end > currentDay ? end : null);
     setCurrentIndex(0);
     setIsFlipped(false);
-    setShowConfusing(false);
     setHiddenAnswers(new Set());
   };
-  const toggleConfusingMode = () => {
-    setShowConfusing((p) => !p);
+  const switchPlan = (next) => {
+    // 진행 위치 재배치: 현재 일차의 첫 단어가 들어가는 새 일차로 이동
+    const [anchor = 0] = dayWordIndices(schedule, currentDay, currentDay, words.length);
+    const nextDay = studyDayOfIndex(buildSchedule(words.length, next), anchor) || 1;
+    setPlan(next);
+    savePlan(next);
+    setSeeds((s) => Object.fromEntries(Object.entries(s).filter(([k]) => !k.startsWith(`${deckId}:`))));
+    setCurrentDay(nextDay);
+    setRangeEnd(null);
     setCurrentIndex(0);
     setIsFlipped(false);
     setHiddenAnswers(new Set());
   };
+  const applyPlan = (next) => {
+    switchPlan({ ...next, updatedAt: Date.now() });
+    setShowPlan(false);
+  };
+  const selectDeck = (id) => {
+    saveActiveDeck(id);
+    setDeckId(id);
+    setCurrentDay(1);
+    setRangeEnd(null);
+    setCurrentIndex(0);
+    setIsFlipped(false);
+    setSource('day');
+    setHiddenAnswers(new Set());
+  };
+  const toggleSource = (next) => {
+    const target = source === next ? 'day' : next;
+    if (target === 'due') setDueQueue(shuffleArray(collectDue(srsData)));
+    if (target === 'weak') {
+      setWeakQueue([]);
+      setWeakLoading(true);
+      loadEvents()
+        .then((events) => setWeakQueue(buildWeakDeck(events, [...words, ...confusingWords], confusingWords)))
+        .catch((e) => console.error('weak deck error', e))
+        .finally(() => setWeakLoading(false));
+    }
+    setSource(target);
+    setCurrentIndex(0);
+    setIsFlipped(false);
+    setHiddenAnswers(new Set());
+  };
+  const toggleConfusingMode = () => toggleSource('confusing');
+  const toggleDueMode = () => toggleSource('due');
+  const toggleWeakMode = () => toggleSource('weak');
+  const changeViewMode = (next) => {
+    setViewMode(next);
+    setIsFlipped(false);
+  };
+  const changeListFilter = (next) => {
+    setListFilter(next);
+    setHiddenAnswers(new Set());
+  };
+  const jumpToWord = (idx) => {
+    // 검색 결과 → 그 단어가 속한 학습일의 카드로 (셔플 순서에서 위치 계산)
+    const day = studyDayOfIndex(schedule, idx);
+    const key = seedKey(deckId, day);
+    const indices = dayWordIndices(schedule, day, day, words.length);
+    const shuffled = shuffleArray(indices, mulberry32(seeds[key] ?? hashSeed(key)));
+    setSource('day');
+    setRangeEnd(null);
+    setCurrentDay(day);
+    setViewMode('card');
+    setListFilter('all');
+    setHiddenAnswers(new Set());
+    setIsFlipped(false);
+    setCurrentIndex(Math.max(0, shuffled.indexOf(idx)));
+  };
+  const toggleListView = () => changeViewMode(viewMode === 'list' ? 'card' : 'list');
   const toggleAnswer = (idx) => {
     const setCopy = new Set(hiddenAnswers);
     setCopy.has(idx) ? setCopy.delete(idx) : setCopy.add(idx);
@@ -184,6 +549,99 @@ const WordQuizApp = () => {
       ? setHiddenAnswers(new Set())
       : setHiddenAnswers(new Set(currentWords.map((_, i) => i)));
   };
+  const onTileKeyDown = (e, idx) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    toggleAnswer(idx);
+  };
+  const onCardKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    flipCard();
+  };
+
+  /*─────────────────────────────── 키보드 단축키 */
+  // 리스너는 한 번만 달고, 최신 상태를 보는 핸들러는 ref 로 교체
+  const keyHandlerRef = useRef(null);
+  keyHandlerRef.current = (e) => {
+    if (e.key === 'Escape' && showShortcuts) {
+      setShowShortcuts(false);
+      return;
+    }
+    if (shouldIgnoreKey(e) || isActivationOnButton(e)) return;
+    if (e.key === '?') {
+      setShowShortcuts((v) => !v);
+      return;
+    }
+    if (showShortcuts) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'l' && (viewMode === 'card' || viewMode === 'list')) {
+      toggleListView();
+      return;
+    }
+    if (viewMode !== 'card') return;
+    if (e.key === 'ArrowLeft') prevWord();
+    else if (e.key === 'ArrowRight') nextWord();
+    else if (e.key === ' ') {
+      e.preventDefault();
+      flipCard();
+    } else if (GRADE_KEYS[e.key] && isFlipped) gradeCard(GRADE_KEYS[e.key]);
+    else if (key === 's' && !showConfusing) addToConfusing();
+  };
+  useEffect(() => {
+    const onKeyDown = (e) => keyHandlerRef.current(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  /*─────────────────────────────── 기기 간 동기화 */
+  const syncRef = useRef(null);
+  const syncBusyRef = useRef(false);
+  // 대기 중인 변경 수는 IndexedDB 에서 읽어 옴
+  const showSyncResult = async (state, message = '') => {
+    const status = await syncStatus().catch(() => ({}));
+    setSyncState((s) => ({ ...s, ...status, state, message }));
+  };
+  syncRef.current = async () => {
+    if (!syncSettings.enabled || syncBusyRef.current) return;
+    if (!navigator.onLine) {
+      await showSyncResult('offline');
+      return;
+    }
+    syncBusyRef.current = true;
+    setSyncState((s) => ({ ...s, state: 'syncing' }));
+    try {
+      const { changed } = await syncNow(createRestAdapter(syncSettings));
+      if (changed) reloadUserData();
+      await showSyncResult('idle');
+    } catch (e) {
+      console.error('sync error', e);
+      await showSyncResult('error', e.message);
+    } finally {
+      syncBusyRef.current = false;
+    }
+  };
+  useEffect(() => {
+    if (!syncSettings.enabled) return undefined;
+    const run = () => syncRef.current();
+    run();
+    const id = setInterval(run, SYNC_INTERVAL);
+    window.addEventListener('online', run);
+    return () => {
+      clearInterval(id);
+      window.removeEventListener('online', run);
+    };
+  }, [syncSettings]);
+  useEffect(() => {
+    if (showSync) syncStatus().then((status) => setSyncState((s) => ({ ...s, ...status })));
+  }, [showSync]);
+  const applySyncSettings = async (next) => {
+    saveSyncSettings(next);
+    if (next.enabled) await seedOutbox();
+    setSyncSettings(next);
+    await showSyncResult('idle');
+  };
 
   /*─────────────────────────────── 로딩 & 에러 */
   if (isLoading)
@@ -202,7 +660,16 @@ const WordQuizApp = () => {
           <FileText className="h-12 w-12 text-red-500 mx-auto mb-4" />
           <h2 className="text-xl font-bold text-gray-800 mb-2">파일 로드 오류</h2>
           <p className="text-gray-600 mb-4">{error}</p>
-          <p className="text-sm text-gray-500">word.csv 파일을 업로드한 뒤 새로고침하세요.</p>
+          {deckId === BUILTIN_DECK.id ? (
+            <p className="text-sm text-gray-500">word.csv 파일을 업로드한 뒤 새로고침하세요.</p>
+          ) : (
+            <button
+              onClick={() => selectDeck(BUILTIN_DECK.id)}
+              className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+              기본 단어장으로 돌아가기
+            </button>
+          )}
         </div>
       </div>
     );
@@ -211,17 +678,230 @@ const WordQuizApp = () => {
     <div className="min-h-screen bg-gradient-to-br from-indigo-100 via-purple-50 to-pink-100 p-4">
       <div className="max-w-4xl mx-auto">
         {/* 헤더 */}
+        <div className="flex justify-end items-center gap-2 mb-2">
+          <UserCircle className="h-5 w-5 text-indigo-600" aria-hidden="true" />
+          <select
+            value={profiles.active}
+            onChange={(e) => changeProfile(e.target.value)}
+            aria-label="프로필"
+            className="border border-gray-300 rounded-lg px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {profiles.list.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowProfiles((v) => !v)}
+            className="px-3 py-1 rounded-lg text-sm bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+          >
+            관리
+          </button>
+        </div>
         <div className="text-center mb-8">
           <h1 className="text-4xl font-bold text-gray-800 mb-2 flex items-center justify-center gap-3">
             <BookOpen className="h-10 w-10 text-indigo-600" />
             단어 퀴즈
           </h1>
-          <p className="text-gray-600">매일 100개씩 단어를 학습해보세요</p>
+          <p className="text-gray-600">매일 {schedule.size}개씩 단어를 학습해보세요</p>
         </div>
 
+        {/* 프로필 관리 */}
+        {showProfiles && (
+          <ProfileManager
+            profiles={profiles}
+            onChanged={setProfiles}
+            onSwitch={changeProfile}
+            onClose={() => setShowProfiles(false)}
+          />
+        )}
+
+        {/* 업데이트 알림 */}
+        {applyAppUpdate && (
+          <UpdatePrompt
+            message="새 버전이 준비되었습니다."
+            actionLabel="업데이트"
+            onAction={applyAppUpdate}
+            onDismiss={() => setApplyAppUpdate(null)}
+          />
+        )}
+        {sharedNotice && <UpdatePrompt message={sharedNotice} onDismiss={() => setSharedNotice('')} />}
+        {deckUpdated && deckId === BUILTIN_DECK.id && (
+          <UpdatePrompt
+            message="새 word.csv 가 배포되었습니다."
+            actionLabel="단어장 새로 불러오기"
+            onAction={reloadDeck}
+            onDismiss={() => setDeckUpdated(false)}
+          />
+        )}
+
+        {/* 단어장 관리 */}
+        {showDecks && (
+          <DeckManager
+            decks={decks}
+            activeDeckId={deckId}
+            onSelect={selectDeck}
+            onChanged={refreshDecks}
+            onClose={() => setShowDecks(false)}
+          />
+        )}
+
+        {/* 단어장 검사 */}
+        {showReport && (
+          <DeckReport
+            deckId={deckId}
+            deckName={decks.find((d) => d.id === deckId)?.name ?? ''}
+            onFixed={() => setDeckVersion((v) => v + 1)}
+            onClose={() => setShowReport(false)}
+          />
+        )}
+
+        {/* 학습 통계 */}
+        {showStats && (
+          <StatsDashboard
+            deckId={deckId}
+            words={words}
+            studyDays={schedule.days.flatMap((d, i) => (d.kind === 'study' ? [i + 1] : []))}
+            wordDays={wordDays}
+            daySize={schedule.size}
+            onClose={() => setShowStats(false)}
+          />
+        )}
+
+        {/* 학습 계획 */}
+        {showPlan && (
+          <StudyPlanSettings
+            plan={plan}
+            wordCount={words.length}
+            onSave={applyPlan}
+            onClose={() => setShowPlan(false)}
+          />
+        )}
+
+        {/* 백업 / 내보내기 */}
+        {showBackup && (
+          <BackupPanel
+            starredWords={confusingWords}
+            onImported={reloadUserData}
+            onClose={() => setShowBackup(false)}
+          />
+        )}
+
+        {/* 시험지 인쇄 */}
+        {showPrint && (
+          <PrintWorksheet
+            words={words}
+            schedule={schedule}
+            starredWords={confusingWords}
+            initialDay={currentDay}
+            mode={mode}
+            onClose={() => setShowPrint(false)}
+          />
+        )}
+
+        {/* 동기화 */}
+        {showSync && (
+          <SyncSettings
+            settings={syncSettings}
+            status={syncState}
+            onSave={applySyncSettings}
+            onSyncNow={() => syncRef.current()}
+            onClose={() => setShowSync(false)}
+          />
+        )}
+
+        {/* 전체 검색 */}
+        <SearchBar
+          words={words}
+          dayOfIndex={(idx) => studyDayOfIndex(schedule, idx)}
+          onJump={jumpToWord}
+        />
+
         {/* 컨트롤 패널 */}
         <div className="bg-white rounded-2xl shadow-lg p-6 mb-6">
           <div className="flex flex-wrap items-center justify-between gap-4">
+            {/* 단어장 선택 */}
+            <div className="flex items-center gap-2">
+              <Library className="h-5 w-5 text-indigo-600" />
+              <select
+                value={deckId}
+                onChange={(e) => selectDeck(e.target.value)}
+                className="border border-gray-300 rounded-lg px-3 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {decks.map((deck) => (
+                  <option key={deck.id} value={deck.id}>{deck.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setShowDecks((v) => !v)}
+                className="px-3 py-1 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+              >
+                가져오기
+              </button>
+              <button
+                onClick={() => setShowReport((v) => !v)}
+                aria-label="단어장 검사"
+                className={`p-2 rounded-lg transition-colors ${
+                  showReport ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                <ClipboardCheck className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setShowStats((v) => !v)}
+                aria-label="학습 통계"
+                className={`p-2 rounded-lg transition-colors ${
+                  showStats ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                <BarChart3 className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setShowShortcuts(true)}
+                aria-label="키보드 단축키"
+                title="키보드 단축키 (?)"
+                className="p-2 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+              >
+                <HelpCircle className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setShowPlan((v) => !v)}
+                aria-label="학습 계획"
+                className={`p-2 rounded-lg transition-colors ${
+                  showPlan ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                <Settings className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setShowBackup((v) => !v)}
+                aria-label="백업 / 내보내기"
+                className={`p-2 rounded-lg transition-colors ${
+                  showBackup ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                <Archive className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setShowSync((v) => !v)}
+                aria-label="기기 간 동기화"
+                title={syncState.state === 'error' ? `동기화 실패: ${syncState.message}` : '기기 간 동기화'}
+                className={`p-2 rounded-lg transition-colors ${
+                  showSync ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                } ${syncState.state === 'error' ? 'ring-2 ring-red-400' : ''}`}
+              >
+                <Cloud className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setShowPrint((v) => !v)}
+                aria-label="시험지 인쇄"
+                className={`p-2 rounded-lg transition-colors ${
+                  showPrint ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                <Printer className="h-4 w-4" />
+              </button>
+            </div>
+
             {/* 일차 선택 */}
             <div className="flex items-center gap-2">
               <Calendar className="h-5 w-5 text-indigo-600" />
@@ -230,12 +910,69 @@ const WordQuizApp = () => {
                 value={currentDay} 
                 onChange={(e) => changeDay(Number(e.target.value))}
                 className="border border-gray-300 rounded-lg px-3 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                disabled={showConfusing}
+                disabled={source !== 'day'}
               >
                 {Array.from({length: totalDays}, (_, i) => (
-                  <option key={i + 1} value={i + 1}>{i + 1}일차</option>
+                  <option key={i + 1} value={i + 1}>{dayLabel(schedule, i + 1)}</option>
                 ))}
               </select>
+              <span className="text-gray-500">~</span>
+              <select
+                value={rangeEnd ?? ''}
+                onChange={(e) => changeRangeEnd(Number(e.target.value))}
+                aria-label="묶어서 볼 마지막 일차"
+                className="border border-gray-300 rounded-lg px-3 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                disabled={source !== 'day'}
+              >
+                <option value="">—</option>
+                {Array.from({ length: Math.max(0, totalDays - currentDay) }, (_, i) => (
+                  <option key={currentDay + i + 1} value={currentDay + i + 1}>
+                    {currentDay + i + 1}일차
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={reshuffleDay}
+                disabled={source !== 'day'}
+                className="flex items-center gap-1 px-3 py-1 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Shuffle className="h-4 w-4" />
+                다시 섞기
+              </button>
+              <button
+                onClick={copyShareLink}
+                disabled={source !== 'day' || Boolean(rangeEnd)}
+                aria-label="이 순서로 공유 링크 복사"
+                title={linkCopied ? '복사됨' : '이 순서로 공유 링크 복사'}
+                className={`p-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                  linkCopied ? 'bg-green-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                <Link className="h-4 w-4" />
+              </button>
+              <button
+                onClick={toggleDueMode}
+                className={`flex items-center gap-2 px-3 py-1 rounded-lg transition-colors ${
+                  showDue
+                    ? 'bg-rose-500 text-white hover:bg-rose-600'
+                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                <Clock className="h-4 w-4" />
+                오늘 복습 ({dueCount})
+              </button>
+              <button
+                onClick={toggleWeakMode}
+                title="틀리거나 느렸던 단어를 점수순으로 – 연속으로 맞히면 졸업"
+                className={`flex items-center gap-2 px-3 py-1 rounded-lg transition-colors ${
+                  showWeak
+                    ? 'bg-orange-500 text-white hover:bg-orange-600'
+                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                <Target className="h-4 w-4" />
+                약한 단어{showWeak && ` (${weakQueue.length})`}
+              </button>
             </div>
 
             {/* 모드 선택 */}
@@ -251,17 +988,20 @@ const WordQuizApp = () => {
 
             {/* 보기 모드 선택 */}
             <div className="flex items-center gap-2">
-              <button
-                onClick={() => setViewMode(viewMode === 'card' ? 'list' : 'card')}
-                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
-                  viewMode === 'list' 
-                    ? 'bg-green-600 text-white hover:bg-green-700' 
-                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                }`}
-              >
-                {viewMode === 'card' ? <List className="h-4 w-4" /> : <CreditCard className="h-4 w-4" />}
-                {viewMode === 'card' ? '외우기 모드' : '카드 모드'}
-              </button>
+              {VIEW_MODES.map((v) => (
+                <button
+                  key={v.value}
+                  onClick={() => changeViewMode(v.value)}
+                  className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                    viewMode === v.value
+                      ? 'bg-green-600 text-white hover:bg-green-700'
+                      : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                  }`}
+                >
+                  <v.Icon className="h-4 w-4" />
+                  {v.label}
+                </button>
+              ))}
             </div>
 
             {/* 헷갈리는 단어 모드 */}
@@ -284,7 +1024,7 @@ const WordQuizApp = () => {
           <div className="bg-white rounded-2xl shadow-lg p-4 mb-6">
             <div className="flex justify-between items-center mb-2">
               <span className="text-sm font-medium text-gray-700">
-                {showConfusing ? '헷갈리는 단어' : `${currentDay}일차`} 진행률
+                {sourceLabel} 진행률
               </span>
               <span className="text-sm text-gray-500">
                 {currentIndex + 1} / {currentWords.length}
@@ -300,12 +1040,28 @@ const WordQuizApp = () => {
         )}
 
         {/* 외우기 모드 컨트롤 */}
-        {viewMode === 'list' && currentWords.length > 0 && (
+        {viewMode === 'list' && baseWords.length > 0 && (
           <div className="bg-white rounded-2xl shadow-lg p-4 mb-6">
-            <div className="flex justify-between items-center">
+            <div className="flex flex-wrap justify-between items-center gap-3">
               <span className="text-sm font-medium text-gray-700">
-                {showConfusing ? '헷갈리는 단어' : `${currentDay}일차`} - 총 {currentWords.length}개
+                {sourceLabel} - 총 {currentWords.length}개
               </span>
+              <div className="flex gap-1" role="group" aria-label="목록 필터">
+                {LIST_FILTERS.map(({ value, label }) => (
+                  <button
+                    key={value}
+                    onClick={() => changeListFilter(value)}
+                    aria-pressed={listFilter === value}
+                    className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                      listFilter === value
+                        ? 'bg-indigo-600 text-white'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
               <button
                 onClick={toggleAllAnswers}
                 className="flex items-center gap-2 px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded-lg transition-colors text-sm"
@@ -317,45 +1073,145 @@ const WordQuizApp = () => {
           </div>
         )}
 
-        {/* 메인 컨텐츠 */}
-        {viewMode === 'card' ? (
+        {/* 메인 컨텐츠 – 퀴즈·짝 맞추기는 처음 받은 words 로 문제를 만들므로 큐가 채워진 뒤에 띄움 */}
+        {showWeak && weakLoading ? (
+          <div className="bg-white rounded-2xl shadow-xl p-8 mb-6 text-center">
+            <p className="text-gray-500">약한 단어를 모으는 중...</p>
+          </div>
+        ) : viewMode === 'type' ? (
+          <TypingQuiz
+            key={`${currentDay}-${source}-${mode}-${daySeed}`}
+            words={currentWords}
+            mode={mode}
+            onAnswer={(word, verdict) => recordAnswer(word, 'type', verdict)}
+          />
+        ) : viewMode === 'choice' ? (
+          <ChoiceQuiz
+            key={`${currentDay}-${source}-${mode}-${daySeed}`}
+            words={currentWords}
+            pool={words}
+            mode={mode}
+            daySize={schedule.size}
+            confusingIds={confusingIds}
+            onAddConfusing={addWordsToConfusing}
+            onAnswer={(word, verdict) => recordAnswer(word, 'choice', verdict)}
+          />
+        ) : viewMode === 'timed' ? (
+          <TimedChallenge
+            key={`${currentDay}-${source}-${mode}-${daySeed}`}
+            words={currentWords}
+            pool={words}
+            mode={mode}
+            daySize={schedule.size}
+            deckId={deckId}
+            setId={source === 'day' ? `day:${currentDay}${rangeEnd ? `-${rangeEnd}` : ''}` : source}
+            setLabel={sourceLabel}
+            confusingIds={confusingIds}
+            onAddConfusing={addWordsToConfusing}
+            onAnswer={(word, verdict, extra) => recordAnswer(word, 'timed', verdict, extra)}
+          />
+        ) : viewMode === 'match' ? (
+          <MatchGame
+            key={`${currentDay}-${source}-${mode}-${daySeed}`}
+            words={currentWords}
+            confusingIds={confusingIds}
+            onAddConfusing={addWordsToConfusing}
+            onAnswer={(word, verdict) => recordAnswer(word, 'match', verdict)}
+          />
+        ) : viewMode === 'listen' ? (
+          <ListeningDrill key={`${currentDay}-${source}-${daySeed}`} words={currentWords} />
+        ) : viewMode === 'card' ? (
           // 카드 모드
           <>
             {currentWords.length > 0 ? (
               <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
-                <div 
-                  className="relative h-64 cursor-pointer group"
-                  onClick={flipCard}
-                  key={`${currentIndex}-${currentDay}-${showConfusing}`}
-                >
-                  <div className={`absolute inset-0 transition-transform duration-500 transform-style-preserve-3d ${
-                    isFlipped ? 'rotate-y-180' : ''
-                  }`}>
-                    {/* 앞면 */}
-                    <div className="absolute inset-0 backface-hidden bg-gradient-to-br from-indigo-500 to-purple-600 rounded-xl flex items-center justify-center text-white">
-                      <div className="text-center">
-                        <p className="text-3xl font-bold mb-2">
-                          {mode === 'ko-to-en' ? korean : english}
-                        </p>
-                        <p className="text-indigo-200 text-sm">클릭해서 뒤집기</p>
+                {showWeak && <WeakReasons entry={weakById.get(currentWordId)} className="mb-4 justify-center" />}
+                {/* 발음 버튼은 뒤집기 버튼(role=button) 밖에 – 버튼 안에 버튼을 두지 않음 */}
+                <div className="relative">
+                  <div 
+                    className="relative h-64 cursor-pointer group rounded-xl focus:outline-none focus-visible:ring-4 focus-visible:ring-indigo-300"
+                    onClick={flipCard}
+                    onKeyDown={onCardKeyDown}
+                    role="button"
+                    tabIndex={0}
+                    aria-pressed={isFlipped}
+                    aria-label={`${currentIndex + 1}번째 카드, ${isFlipped ? '뒷면' : '앞면'} – 눌러서 뒤집기`}
+                    key={`${currentIndex}-${currentDay}-${source}`}
+                  >
+                    <div className={`absolute inset-0 transition-transform duration-500 transform-style-preserve-3d ${
+                      isFlipped ? 'rotate-y-180' : ''
+                    }`}>
+                      {/* 앞면 */}
+                      <div aria-hidden={isFlipped} className="absolute inset-0 backface-hidden bg-gradient-to-br from-indigo-500 to-purple-600 rounded-xl flex items-center justify-center text-white">
+                        <div className="text-center">
+                          <p className="text-3xl font-bold mb-2">
+                            {mode === 'ko-to-en' ? korean : english}
+                          </p>
+                          <p className="text-indigo-200 text-sm">클릭해서 뒤집기</p>
+                        </div>
                       </div>
-                    </div>
                     
-                    {/* 뒷면 */}
-                    <div className="absolute inset-0 backface-hidden rotate-y-180 bg-gradient-to-br from-emerald-500 to-teal-600 rounded-xl flex items-center justify-center text-white">
-                      <div className="text-center">
-                        <p className="text-3xl font-bold mb-2">
-                          {mode === 'ko-to-en' ? english : korean}
-                        </p>
-                        <p className="text-emerald-200 text-sm">다시 클릭해서 뒤집기</p>
+                      {/* 뒷면 */}
+                      <div aria-hidden={!isFlipped} className="absolute inset-0 backface-hidden rotate-y-180 bg-gradient-to-br from-emerald-500 to-teal-600 rounded-xl flex items-center justify-center text-white">
+                        <div className="text-center">
+                          <p className="text-3xl font-bold mb-2">
+                            {mode === 'ko-to-en' ? english : korean}
+                          </p>
+                          {currentWord?.pos && <p className="text-emerald-100 text-sm mb-1">{currentWord.pos}</p>}
+                          <p className="text-emerald-200 text-sm">다시 클릭해서 뒤집기</p>
+                        </div>
                       </div>
                     </div>
                   </div>
+                  <SpeakButton
+                    text={isFlipped === (mode === 'ko-to-en') ? english : korean}
+                    className="absolute top-3 right-3 text-white/80 hover:bg-white/20"
+                  />
                 </div>
+
+                {/* 뒤집은 뒤: 부가 정보 + 메모 */}
+                {isFlipped && (
+                  <WordDetails
+                    key={getWordId(currentWord)}
+                    word={currentWord}
+                    note={notes[getWordId(currentWord)]}
+                    onSaveNote={(text) => saveNote(currentWord, text)}
+                  />
+                )}
               </div>
             ) : (
               <div className="bg-white rounded-2xl shadow-xl p-8 mb-6 text-center">
-                <p className="text-gray-500">단어가 없습니다.</p>
+                <p className="text-gray-500">
+                  {showWeak ? '약한 단어가 없습니다. 틀리거나 오래 고민한 단어가 여기에 모입니다.' : '단어가 없습니다.'}
+                </p>
+              </div>
+            )}
+
+            {/* 스크린리더 알림: 보이는 면 */}
+            <div aria-live="polite" aria-atomic="true" className="sr-only">
+              {currentWord &&
+                (isFlipped
+                  ? `정답: ${mode === 'ko-to-en' ? english : korean}`
+                  : `문제: ${mode === 'ko-to-en' ? korean : english}`)}
+            </div>
+
+            {/* SRS 채점 버튼 – 뒤집은 뒤에만 */}
+            {isFlipped && currentWord && (
+              <div className="grid grid-cols-4 gap-3 mb-6">
+                {GRADE_BUTTONS.map(({ grade, label, className }, i) => (
+                  <button
+                    key={grade}
+                    onClick={() => gradeCard(grade)}
+                    aria-keyshortcuts={String(i + 1)}
+                    className={`${className} text-white py-2 rounded-xl transition-colors shadow-lg`}
+                  >
+                    <div className="font-semibold">
+                      <span className="text-xs opacity-70 mr-1">{i + 1}</span>
+                      {label}
+                    </div>
+                    <div className="text-xs opacity-80">{intervals[grade]}</div>
+                  </button>
+                ))}
               </div>
             )}
 
@@ -364,6 +1220,8 @@ const WordQuizApp = () => {
               <button
                 onClick={prevWord}
                 disabled={currentIndex === 0}
+                aria-label="이전 단어"
+                aria-keyshortcuts="ArrowLeft"
                 className="p-3 bg-white rounded-full shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 <ChevronLeft className="h-6 w-6 text-gray-600" />
@@ -371,6 +1229,8 @@ const WordQuizApp = () => {
 
               <button
                 onClick={flipCard}
+                aria-label="카드 뒤집기"
+                aria-keyshortcuts="Space"
                 className="p-3 bg-indigo-600 text-white rounded-full shadow-lg hover:shadow-xl hover:bg-indigo-700 transition-all"
               >
                 <RotateCcw className="h-6 w-6" />
@@ -379,6 +1239,8 @@ const WordQuizApp = () => {
               <button
                 onClick={nextWord}
                 disabled={currentIndex === currentWords.length - 1}
+                aria-label="다음 단어"
+                aria-keyshortcuts="ArrowRight"
                 className="p-3 bg-white rounded-full shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 <ChevronRight className="h-6 w-6 text-gray-600" />
@@ -391,34 +1253,56 @@ const WordQuizApp = () => {
             {currentWords.length > 0 ? (
               <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
                 {currentWords.map((word, index) => {
-                  const keys = Object.keys(word);
-                  const koreanWord = word[keys[0]] || '';
-                  const englishWord = word[keys[1]] || '';
+                  const { korean: koreanWord, english: englishWord } = splitWord(word);
                   const isHidden = hiddenAnswers.has(index);
                   
+                  // 발음 버튼은 타일(role=button) 밖 – 앞면은 항상, 뒷면은 보일 때만 (영어 en-US / 뜻 ko-KR)
                   return (
-                    <div 
-                      key={index} 
-                      className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow cursor-pointer"
-                      onClick={() => toggleAnswer(index)}
-                    >
-                      <div className="text-center">
-                        <div className="text-lg font-semibold text-gray-800 mb-2">
-                          {mode === 'ko-to-en' ? koreanWord : englishWord}
-                        </div>
-                        <div className="text-gray-600">
-                          {isHidden ? (
-                            <div className="bg-gray-200 text-gray-400 py-2 px-4 rounded flex items-center justify-center gap-2">
-                              <EyeOff className="h-4 w-4" />
-                              클릭해서 보기
-                            </div>
-                          ) : (
-                            <div className="font-medium text-indigo-600">
-                              {mode === 'ko-to-en' ? englishWord : koreanWord}
-                            </div>
-                          )}
+                    <div key={index} className="relative">
+                      <div 
+                        className="h-full border border-gray-200 rounded-lg py-4 px-10 hover:shadow-md transition-shadow cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500"
+                        onClick={() => toggleAnswer(index)}
+                        onKeyDown={(e) => onTileKeyDown(e, index)}
+                        role="button"
+                        tabIndex={0}
+                        aria-expanded={!isHidden}
+                      >
+                        <div className="text-center">
+                          <div className="text-lg font-semibold text-gray-800 mb-2">
+                            {mode === 'ko-to-en' ? koreanWord : englishWord}
+                          </div>
+                          <div className="text-gray-600">
+                            {isHidden ? (
+                              <div className="bg-gray-200 text-gray-400 py-2 px-4 rounded flex items-center justify-center gap-2">
+                                <EyeOff className="h-4 w-4" aria-hidden="true" />
+                                클릭해서 보기
+                              </div>
+                            ) : (
+                              <>
+                                <div className="font-medium text-indigo-600">
+                                  {mode === 'ko-to-en' ? englishWord : koreanWord}
+                                </div>
+                                <WordDetails word={word} note={notes[getWordId(word)]} compact />
+                                {showWeak && (
+                                  <WeakReasons entry={weakById.get(getWordId(word))} className="mt-2 justify-center" />
+                                )}
+                              </>
+                            )}
+                          </div>
                         </div>
                       </div>
+                      <div className="absolute top-2 right-2 flex flex-col">
+                        <SpeakButton
+                          text={mode === 'ko-to-en' ? koreanWord : englishWord}
+                          className="text-gray-400 hover:bg-gray-100"
+                        />
+                        {!isHidden && (
+                          <SpeakButton
+                            text={mode === 'ko-to-en' ? englishWord : koreanWord}
+                            className="text-gray-400 hover:bg-gray-100"
+                          />
+                        )}
+                      </div>
                     </div>
                   );
                 })}
@@ -444,6 +1328,7 @@ const WordQuizApp = () => {
             ) : (
               <button
                 onClick={addToConfusing}
+                aria-keyshortcuts="S"
                 className="bg-yellow-500 text-white px-6 py-3 rounded-xl hover:bg-yellow-600 transition-colors shadow-lg"
               >
                 헷갈리는 단어에 추가
@@ -453,6 +1338,8 @@ const WordQuizApp = () => {
         )}
       </div>
 
+      {showShortcuts && <ShortcutHelp onClose={() => setShowShortcuts(false)} />}
+
       {/* 커스텀 CSS */}
       <style jsx>{`
         .transform-style-preserve-3d {
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { X, Download, Upload, FileText } from 'lucide-react';
+import {
+  createBackup,
+  backupFileName,
+  importBackup,
+  starredToCsv,
+  starredToAnkiTsv,
+  downloadText,
+} from '../lib/backup';
+import { dateKey } from '../lib/stats';
+
+/**
+ * BackupPanel – 학습 기록 백업/복원 & 별표 단어 내보내기
+ *   • JSON 백업: 별표·메모·SRS·설정 전체. 가져오면 현재 기록과 병합(lib/backup).
+ *   • 별표 단어는 CSV(엑셀·인쇄) / Anki TSV 로 따로 내보내기.
+ */
+const BackupPanel = ({ starredWords, onImported, onClose }) => {
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const exportBackup = () => {
+    const backup = createBackup();
+    downloadText(backupFileName(backup.exportedAt), JSON.stringify(backup, null, 2), 'application/json');
+  };
+  const readBackup = async (file) => {
+    if (!file) return;
+    setMessage('');
+    setError('');
+    try {
+      const summary = importBackup(await file.text());
+      setMessage(`가져오기 완료 – 별표 ${summary.starred}개, 메모 ${summary.notes}개, 복습 기록 ${summary.srs}개, 설정 ${summary.settings}개 반영`);
+      onImported();
+    } catch (e) {
+      console.error(e);
+      setError(e.message || '백업을 가져오지 못했습니다.');
+    }
+  };
+  const exportStarred = (format) => {
+    const base = `starred-${dateKey(Date.now())}`;
+    if (format === 'csv') downloadText(`${base}.csv`, starredToCsv(starredWords), 'text/csv');
+    else downloadText(`${base}.txt`, starredToAnkiTsv(starredWords), 'text/tab-separated-values');
+  };
+
+  const buttonClass =
+    'flex items-center gap-2 px-4 py-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mb-6 text-left">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-800">백업 / 내보내기</h2>
+        <button onClick={onClose} aria-label="닫기" className="p-2 rounded-full hover:bg-gray-100">
+          <X className="h-5 w-5 text-gray-600" />
+        </button>
+      </div>
+
+      <div className="space-y-6">
+        {/* 전체 백업 */}
+        <section>
+          <h3 className="font-medium text-gray-700 mb-1">학습 기록 백업</h3>
+          <p className="text-sm text-gray-500 mb-3">
+            별표 단어, 메모, 복습 일정, 설정을 파일 하나로 저장합니다. 가져오면 단어별로 더 최근 기록이 남습니다.
+          </p>
+          <div className="flex flex-wrap gap-3">
+            <button onClick={exportBackup} className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}>
+              <Download className="h-4 w-4" />
+              백업 파일 저장
+            </button>
+            <label className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300 cursor-pointer`}>
+              <Upload className="h-4 w-4" />
+              백업 가져오기
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="sr-only"
+                onChange={(e) => {
+                  readBackup(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          </div>
+          {message && <p className="text-sm text-green-700 mt-3">{message}</p>}
+          {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+        </section>
+
+        {/* 별표 단어 */}
+        <section>
+          <h3 className="font-medium text-gray-700 mb-1">헷갈리는 단어 내보내기 ({starredWords.length}개)</h3>
+          <p className="text-sm text-gray-500 mb-3">CSV 는 엑셀·인쇄용, TSV 는 Anki 에서 바로 가져올 수 있습니다.</p>
+          <div className="flex flex-wrap gap-3">
+            <button
+              onClick={() => exportStarred('csv')}
+              disabled={!starredWords.length}
+              className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}
+            >
+              <FileText className="h-4 w-4" />
+              CSV
+            </button>
+            <button
+              onClick={() => exportStarred('anki')}
+              disabled={!starredWords.length}
+              className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}
+            >
+              <FileText className="h-4 w-4" />
+              Anki TSV
+            </button>
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default BackupPanel;
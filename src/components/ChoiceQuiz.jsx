@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, RotateCcw, Star } from 'lucide-react';
+import { buildChoiceQuestions } from '../lib/choices';
+import { getWordId } from '../lib/words';
+
+/**
+ * ChoiceQuiz – 4지선다 모드
+ *   • 문제 순서 = 넘겨받은 words 순서(카드 모드와 같은 셔플), 보기는 마운트 시 한 번만 생성.
+ *   • 끝나면 틀린 단어 목록 → 헷갈리는 단어에 바로 추가.
+ */
+const ChoiceQuiz = ({ words, pool, mode, daySize, confusingIds, onAddConfusing, onAnswer }) => {
+  const [questions] = useState(() => buildChoiceQuestions(words, pool, { mode, daySize }));
+  const [index, setIndex] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const [misses, setMisses] = useState([]);
+
+  const question = questions[index];
+  const finished = index >= questions.length;
+
+  const choose = (option) => {
+    if (selected !== null) return;
+    setSelected(option);
+    onAnswer?.(question.word, option === question.answer ? 'correct' : 'wrong');
+    if (option !== question.answer) setMisses((m) => [...m, { ...question, chosen: option }]);
+  };
+  const next = () => {
+    setSelected(null);
+    setIndex((i) => i + 1);
+  };
+  const restart = () => {
+    setIndex(0);
+    setSelected(null);
+    setMisses([]);
+  };
+
+  if (!questions.length)
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-8 mb-6 text-center">
+        <p className="text-gray-500">단어가 없습니다.</p>
+      </div>
+    );
+
+  /*─────────────────────────────── 결과 화면 */
+  if (finished) {
+    const pending = misses.filter((m) => !confusingIds.has(getWordId(m.word)));
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+        <div className="text-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">세션 결과</h2>
+          <p className="text-4xl font-bold text-indigo-600 mb-2">
+            {questions.length - misses.length} / {questions.length}
+          </p>
+        </div>
+
+        {misses.length > 0 && (
+          <>
+            <div className="flex justify-between items-center mb-3">
+              <span className="font-medium text-gray-700">틀린 단어 ({misses.length})</span>
+              <button
+                onClick={() => onAddConfusing(pending.map((m) => m.word))}
+                disabled={!pending.length}
+                className="flex items-center gap-2 text-sm bg-yellow-500 text-white px-3 py-1 rounded-lg hover:bg-yellow-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Star className="h-4 w-4" />
+                모두 추가
+              </button>
+            </div>
+            <ul className="divide-y divide-gray-200 mb-6">
+              {misses.map((m) => {
+                const starred = confusingIds.has(getWordId(m.word));
+                return (
+                  <li key={getWordId(m.word)} className="flex items-center justify-between py-2 gap-4">
+                    <div>
+                      <p className="font-semibold text-gray-800">{m.prompt}</p>
+                      <p className="text-sm">
+                        <span className="text-green-700">{m.answer}</span>
+                        <span className="text-gray-400"> · 고른 답: </span>
+                        <span className="text-red-600 line-through">{m.chosen}</span>
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => onAddConfusing([m.word])}
+                      disabled={starred}
+                      aria-label="헷갈리는 단어에 추가"
+                      className="p-2 rounded-full hover:bg-yellow-100 transition-colors disabled:cursor-default"
+                    >
+                      <Star className={`h-5 w-5 ${starred ? 'fill-yellow-400 text-yellow-500' : 'text-gray-400'}`} />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+
+        <div className="text-center">
+          <button
+            onClick={restart}
+            className="inline-flex items-center gap-2 bg-indigo-600 text-white px-6 py-3 rounded-xl hover:bg-indigo-700 transition-colors shadow-lg"
+          >
+            <RotateCcw className="h-4 w-4" />
+            다시 하기
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const optionClass = (option) => {
+    if (selected === null) return 'border-gray-200 hover:border-indigo-400 hover:bg-indigo-50';
+    if (option === question.answer) return 'border-green-500 bg-green-50 text-green-800';
+    if (option === selected) return 'border-red-500 bg-red-50 text-red-700';
+    return 'border-gray-200 opacity-60';
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+      <div className="flex justify-between text-sm text-gray-500 mb-4">
+        <span>
+          {index + 1} / {questions.length}
+        </span>
+        <span>오답 {misses.length}</span>
+      </div>
+
+      <div className="bg-gradient-to-br from-indigo-500 to-purple-600 rounded-xl py-10 text-center text-white mb-6">
+        <p className="text-3xl font-bold">{question.prompt}</p>
+      </div>
+
+      <div className="grid gap-3 md:grid-cols-2 mb-4">
+        {question.options.map((option, i) => (
+          <button
+            key={option}
+            onClick={() => choose(option)}
+            className={`flex items-center gap-3 text-left border-2 rounded-xl px-4 py-3 transition-colors ${optionClass(option)}`}
+          >
+            <span className="text-sm text-gray-400">{i + 1}</span>
+            <span className="flex-1">{option}</span>
+            {selected !== null && option === question.answer && <CheckCircle className="h-5 w-5 text-green-600" />}
+            {selected === option && option !== question.answer && <XCircle className="h-5 w-5 text-red-500" />}
+          </button>
+        ))}
+      </div>
+
+      {selected !== null && (
+        <div className="text-center">
+          <button
+            onClick={next}
+            className="bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+          >
+            다음
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChoiceQuiz;
@@ -0,0 +1,250 @@
+import React, { useState, useMemo } from 'react';
+import { Upload, Trash2, X, Check } from 'lucide-react';
+import {
+  parseWordFile,
+  guessMapping,
+  applyMapping,
+  toggleHeaderRow,
+  MAPPING_FIELDS,
+} from '../lib/parse';
+import { saveDeck, deleteDeck, BUILTIN_DECK } from '../lib/decks';
+
+const PREVIEW_ROWS = 8;
+
+/**
+ * DeckManager – 단어장 가져오기 & 관리
+ *   • 파일 드롭/선택 → 미리보기 → 컬럼 매핑 → 이름 붙여 IndexedDB 에 저장.
+ *   • 기본 덱(word.csv)은 삭제 불가.
+ */
+const DeckManager = ({ decks, activeDeckId, onSelect, onChanged, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [deckName, setDeckName] = useState('');
+  const [isDragging, setIsDragging] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const mappedWords = useMemo(
+    () => (parsed && mapping ? applyMapping(parsed.rows, mapping) : []),
+    [parsed, mapping]
+  );
+
+  /*─────────────────────────────── 파일 읽기 */
+  const readFile = async (file) => {
+    if (!file) return;
+    setError('');
+    try {
+      const result = parseWordFile(await file.text(), file.name);
+      if (!result.rows.length) {
+        setError('읽을 수 있는 행이 없습니다.');
+        return;
+      }
+      if (result.errors.length) console.warn('import parse warnings', result.errors);
+      setFileName(file.name);
+      setParsed(result);
+      setMapping(guessMapping(result.headers, result.rows));
+      setDeckName(file.name.replace(/\.[^.]+$/, ''));
+    } catch (e) {
+      console.error(e);
+      setError('파일을 읽는 중 오류가 발생했습니다.');
+    }
+  };
+  const onDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    readFile(e.dataTransfer.files[0]);
+  };
+  const toggleHeader = () => {
+    const next = toggleHeaderRow(parsed);
+    setParsed(next);
+    setMapping(guessMapping(next.headers, next.rows));
+  };
+  const reset = () => {
+    setFileName('');
+    setParsed(null);
+    setMapping(null);
+    setDeckName('');
+  };
+
+  /*─────────────────────────────── 저장 & 삭제 */
+  const save = async () => {
+    if (!deckName.trim() || !mappedWords.length) return;
+    setIsSaving(true);
+    try {
+      const deck = await saveDeck({ name: deckName.trim(), words: mappedWords });
+      reset();
+      await onChanged();
+      onSelect(deck.id);
+    } catch (e) {
+      console.error(e);
+      setError('덱을 저장하는 중 오류가 발생했습니다.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  const remove = async (id) => {
+    if (!window.confirm('이 덱을 삭제할까요?')) return;
+    try {
+      await deleteDeck(id);
+      if (id === activeDeckId) onSelect(BUILTIN_DECK.id);
+      await onChanged();
+    } catch (e) {
+      console.error(e);
+      setError('덱을 삭제하는 중 오류가 발생했습니다.');
+    }
+  };
+
+  const selectClass =
+    'border border-gray-300 rounded-lg px-3 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mb-6 text-left">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-800">단어장 관리</h2>
+        <button onClick={onClose} aria-label="닫기" className="p-2 rounded-full hover:bg-gray-100">
+          <X className="h-5 w-5 text-gray-600" />
+        </button>
+      </div>
+
+      {/* 덱 목록 */}
+      <ul className="divide-y divide-gray-200 mb-6">
+        {decks.map((deck) => (
+          <li key={deck.id} className="flex items-center justify-between py-2">
+            <button onClick={() => onSelect(deck.id)} className="flex items-center gap-2 text-gray-800">
+              {deck.id === activeDeckId ? (
+                <Check className="h-4 w-4 text-indigo-600" />
+              ) : (
+                <span className="w-4" />
+              )}
+              {deck.name}
+              {deck.count !== undefined && <span className="text-sm text-gray-400">({deck.count})</span>}
+            </button>
+            {deck.id !== BUILTIN_DECK.id && (
+              <button
+                onClick={() => remove(deck.id)}
+                aria-label="덱 삭제"
+                className="p-2 rounded-full hover:bg-red-50"
+              >
+                <Trash2 className="h-4 w-4 text-red-500" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {error && <p className="text-red-600 text-sm mb-4">{error}</p>}
+
+      {/* 가져오기 */}
+      {!parsed ? (
+        <label
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={onDrop}
+          className={`flex flex-col items-center justify-center gap-2 border-2 border-dashed rounded-xl p-8 cursor-pointer transition-colors ${
+            isDragging ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 hover:border-indigo-400'
+          }`}
+        >
+          <Upload className="h-8 w-8 text-indigo-600" />
+          <span className="text-gray-700">CSV · TSV · Anki/Quizlet 텍스트 파일을 끌어다 놓거나 클릭하세요</span>
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain"
+            className="hidden"
+            onChange={(e) => readFile(e.target.files[0])}
+          />
+        </label>
+      ) : (
+        <div>
+          <div className="flex flex-wrap items-center gap-4 mb-4">
+            <span className="text-sm text-gray-500">{fileName}</span>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={parsed.hasHeader} onChange={toggleHeader} />
+              첫 행은 헤더
+            </label>
+          </div>
+
+          {/* 컬럼 매핑 */}
+          <div className="grid gap-3 md:grid-cols-2 mb-4">
+            {MAPPING_FIELDS.map(({ field, label, required }) => (
+              <label key={field} className="flex items-center justify-between gap-2 text-sm">
+                <span className="text-gray-700">
+                  {label}
+                  {required && <span className="text-red-500"> *</span>}
+                </span>
+                <select
+                  value={mapping[field]}
+                  onChange={(e) => setMapping({ ...mapping, [field]: Number(e.target.value) })}
+                  className={selectClass}
+                >
+                  <option value={-1}>(없음)</option>
+                  {parsed.headers.map((h, i) => (
+                    <option key={i} value={i}>
+                      {h || `${i + 1}열`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {/* 미리보기 */}
+          <div className="overflow-x-auto mb-4">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-500 border-b">
+                  {MAPPING_FIELDS.map(({ field, label }) => (
+                    <th key={field} className="py-1 px-2 text-left font-medium">
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {mappedWords.slice(0, PREVIEW_ROWS).map((w, i) => (
+                  <tr key={i} className="border-b border-gray-100">
+                    {MAPPING_FIELDS.map(({ field }) => (
+                      <td key={field} className="py-1 px-2 text-gray-800">
+                        {w[field] || ''}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              전체 {parsed.rows.length}행 중 {mappedWords.length}개 단어를 가져옵니다.
+            </p>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              value={deckName}
+              onChange={(e) => setDeckName(e.target.value)}
+              placeholder="덱 이름 (예: TOEFL)"
+              className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <button
+              onClick={reset}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              취소
+            </button>
+            <button
+              onClick={save}
+              disabled={isSaving || !deckName.trim() || !mappedWords.length}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              저장
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeckManager;
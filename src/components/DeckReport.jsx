@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { X, AlertTriangle, CheckCircle, Wand2 } from 'lucide-react';
+import { loadDeckReport, loadDeckFixes, saveDeckFixes } from '../lib/decks';
+
+const SHOW_ROWS = 20;
+
+const SECTIONS = [
+  { key: 'duplicates', label: '중복 표제어' },
+  { key: 'missing', label: '빈 열이 있는 행' },
+  { key: 'mixedDelimiters', label: '뜻 구분자 혼용' },
+  { key: 'suspicious', label: '의심스러운 값' },
+  { key: 'parseErrors', label: 'CSV 파싱 오류' },
+];
+
+const describe = (key, item) => {
+  if (key === 'duplicates') return `${item.term} – ${item.lines.join(', ')}행`;
+  if (key === 'missing') return `${item.line}행: ${item.term || '(단어 없음)'} / ${item.meaning || '(뜻 없음)'}`;
+  if (key === 'mixedDelimiters') return `${item.line}행: ${item.term} – ${item.meaning}`;
+  if (key === 'suspicious') return `${item.line}행: ${item.term} – ${item.reason}`;
+  return `${item.line}행: ${item.message}`;
+};
+
+/**
+ * DeckReport – 단어장 품질 검사 결과
+ *   • 원본 기준 보고서(lib/quality) – 빈 줄·파싱 오류도 조용히 버리지 않고 보여줌.
+ *   • 원클릭 보정: 뜻 구분자 통일 → 덱 보정값 저장 후 onFixed 로 다시 불러오기.
+ */
+const DeckReport = ({ deckId, deckName, onFixed, onClose }) => {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [fixes, setFixes] = useState(() => loadDeckFixes(deckId));
+
+  useEffect(() => {
+    setReport(null);
+    setError('');
+    setFixes(loadDeckFixes(deckId));
+    loadDeckReport(deckId)
+      .then(setReport)
+      .catch((e) => {
+        console.error(e);
+        setError('단어장을 검사하지 못했습니다.');
+      });
+  }, [deckId]);
+
+  const toggleSeparators = () => {
+    const next = { ...fixes, separators: !fixes.separators };
+    saveDeckFixes(deckId, next);
+    setFixes(next);
+    onFixed();
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mb-6 text-left">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-800">단어장 검사 – {deckName}</h2>
+        <button onClick={onClose} aria-label="닫기" className="p-2 rounded-full hover:bg-gray-100">
+          <X className="h-5 w-5 text-gray-600" />
+        </button>
+      </div>
+
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+      {!report && !error && <p className="text-gray-500">검사 중...</p>}
+
+      {report && (
+        <div className="space-y-4 text-sm">
+          <p className="flex items-center gap-2 text-gray-700">
+            {report.issueCount ? (
+              <AlertTriangle className="h-4 w-4 text-amber-500" />
+            ) : (
+              <CheckCircle className="h-4 w-4 text-green-600" />
+            )}
+            {report.total}행 중 {report.usable}개 사용 · 문제 {report.issueCount}건
+            {report.blankLines > 0 && ` · 빈 줄 ${report.blankLines}개 건너뜀`}
+          </p>
+
+          {report.issues.mixedDelimiters.length > 0 && (
+            <div className="flex flex-wrap items-center justify-between gap-3 bg-indigo-50 rounded-lg p-3">
+              <span className="text-gray-700">
+                뜻 구분자를 &lsquo;{report.separator}&rsquo; 로 통일합니다 ({report.issues.mixedDelimiters.length}개 행).
+                원본 파일은 그대로 두고 불러올 때 적용됩니다.
+              </span>
+              <button
+                onClick={toggleSeparators}
+                className={`flex items-center gap-2 px-3 py-1 rounded-lg transition-colors ${
+                  fixes.separators
+                    ? 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    : 'bg-indigo-600 text-white hover:bg-indigo-700'
+                }`}
+              >
+                <Wand2 className="h-4 w-4" />
+                {fixes.separators ? '적용됨 · 되돌리기' : '구분자 통일'}
+              </button>
+            </div>
+          )}
+
+          {SECTIONS.filter(({ key }) => report.issues[key].length).map(({ key, label }) => (
+            <details key={key} className="border border-gray-200 rounded-lg">
+              <summary className="cursor-pointer px-3 py-2 font-medium text-gray-700">
+                {label} ({report.issues[key].length})
+              </summary>
+              <ul className="px-3 pb-2 text-gray-600 space-y-0.5">
+                {report.issues[key].slice(0, SHOW_ROWS).map((item, i) => (
+                  <li key={i}>{describe(key, item)}</li>
+                ))}
+                {report.issues[key].length > SHOW_ROWS && (
+                  <li className="text-gray-400">외 {report.issues[key].length - SHOW_ROWS}건</li>
+                )}
+              </ul>
+            </details>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeckReport;
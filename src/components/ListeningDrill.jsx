@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { Play, Pause, SkipBack, SkipForward } from 'lucide-react';
+import {
+  speak,
+  cancelSpeech,
+  isSpeechSupported,
+  loadSpeechSettings,
+  saveSpeechSettings,
+} from '../lib/speech';
+import { splitWord } from '../lib/words';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * ListeningDrill – 듣기 모드 (손 안 대고 듣기)
+ *   • 영어 단어 읽기 → 쉬고 → 뜻 읽기 → 쉬고 → 다음 단어 (퀴즈 방향과 상관없이 단어 먼저).
+ *   • 속도·쉬는 시간·자동 넘김은 저장(lib/speech).
+ */
+const ListeningDrill = ({ words }) => {
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [phase, setPhase] = useState('front'); // 'front'(단어) | 'back'(뜻)
+  const [settings, setSettings] = useState(() => loadSpeechSettings());
+
+  const word = words[index];
+  const { korean, english } = splitWord(word);
+
+  /*─────────────────────────────── 재생 루프 */
+  useEffect(() => {
+    if (!playing || !word) return undefined;
+    let cancelled = false;
+    const run = async () => {
+      setPhase('front');
+      await speak(english, { rate: settings.rate });
+      if (cancelled) return;
+      await wait(settings.pause);
+      if (cancelled) return;
+      setPhase('back');
+      await speak(korean, { rate: settings.rate });
+      if (cancelled) return;
+      await wait(settings.pause);
+      if (cancelled) return;
+      if (settings.autoAdvance && index < words.length - 1) setIndex((i) => i + 1);
+      else setPlaying(false);
+    };
+    run();
+    return () => {
+      cancelled = true;
+      cancelSpeech();
+    };
+  }, [playing, index, word, words.length, english, korean, settings]);
+
+  useEffect(() => () => cancelSpeech(), []);
+
+  const updateSettings = (patch) => {
+    const next = { ...settings, ...patch, updatedAt: Date.now() };
+    setSettings(next);
+    saveSpeechSettings(next);
+  };
+  const move = (delta) => {
+    setIndex((i) => Math.min(Math.max(i + delta, 0), words.length - 1));
+    setPhase('front');
+  };
+
+  if (!isSpeechSupported())
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-8 mb-6 text-center">
+        <p className="text-gray-500">이 브라우저는 음성 합성을 지원하지 않습니다.</p>
+      </div>
+    );
+  if (!words.length)
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-8 mb-6 text-center">
+        <p className="text-gray-500">단어가 없습니다.</p>
+      </div>
+    );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+      <div className="text-sm text-gray-500 mb-4">
+        {index + 1} / {words.length}
+      </div>
+
+      <div
+        aria-live="polite"
+        className="bg-gradient-to-br from-indigo-500 to-purple-600 rounded-xl py-10 text-center text-white mb-6"
+      >
+        <p className="text-3xl font-bold mb-2">{english}</p>
+        <p className={`text-xl transition-opacity ${phase === 'back' ? 'opacity-100' : 'opacity-0'}`}>{korean}</p>
+      </div>
+
+      <div className="flex justify-center items-center gap-4 mb-6">
+        <button
+          onClick={() => move(-1)}
+          disabled={index === 0}
+          aria-label="이전 단어"
+          className="p-3 bg-white rounded-full shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <SkipBack className="h-6 w-6 text-gray-600" />
+        </button>
+        <button
+          onClick={() => setPlaying((p) => !p)}
+          aria-label={playing ? '일시 정지' : '재생'}
+          className="p-4 bg-indigo-600 text-white rounded-full shadow-lg hover:shadow-xl hover:bg-indigo-700 transition-all"
+        >
+          {playing ? <Pause className="h-6 w-6" /> : <Play className="h-6 w-6" />}
+        </button>
+        <button
+          onClick={() => move(1)}
+          disabled={index === words.length - 1}
+          aria-label="다음 단어"
+          className="p-3 bg-white rounded-full shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <SkipForward className="h-6 w-6 text-gray-600" />
+        </button>
+      </div>
+
+      {/* 설정 */}
+      <div className="grid gap-4 md:grid-cols-3 text-sm text-gray-700">
+        <label className="flex flex-col gap-1">
+          속도 {settings.rate.toFixed(1)}x
+          <input
+            type="range"
+            min={0.5}
+            max={1.5}
+            step={0.1}
+            value={settings.rate}
+            onChange={(e) => updateSettings({ rate: Number(e.target.value) })}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          쉬는 시간 {(settings.pause / 1000).toFixed(1)}초
+          <input
+            type="range"
+            min={500}
+            max={5000}
+            step={250}
+            value={settings.pause}
+            onChange={(e) => updateSettings({ pause: Number(e.target.value) })}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.autoAdvance}
+            onChange={(e) => updateSettings({ autoAdvance: e.target.checked })}
+          />
+          자동으로 다음 단어
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default ListeningDrill;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Clock, RotateCcw, Star } from 'lucide-react';
+import { buildRound, isPair, recordMismatch, ROUND_SIZES, STAR_AFTER_MISSES } from '../lib/match';
+import { getWordId, splitWord } from '../lib/words';
+
+const FLASH_MS = 600;
+
+const formatElapsed = (ms) => {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+/**
+ * MatchGame – 영어 ↔ 한글 짝 맞추기
+ *   • 타일은 버튼 → 클릭 or Tab + Enter/Space 로 고름. 같은 언어를 다시 고르면 선택만 바뀜.
+ *   • 틀린 짝은 잠깐 빨갛게, 라운드가 끝나면 걸린 시간·실수 수.
+ *   • 자주 틀리는 단어(lib/match 누적)는 onAddConfusing 으로 별표.
+ */
+const MatchGame = ({ words, confusingIds, onAddConfusing, onAnswer }) => {
+  const [size, setSize] = useState(8);
+  const [round, setRound] = useState(() => buildRound(words, size));
+  const [selected, setSelected] = useState(null); // 타일 key
+  const [matched, setMatched] = useState(new Set()); // 타일 key
+  const [wrong, setWrong] = useState([]); // 깜빡일 타일 key 2개
+  const [mistakes, setMistakes] = useState([]); // 이번 라운드에 틀린 단어 id
+  const [starred, setStarred] = useState([]); // 이번 라운드에 자동 별표된 단어
+  const [startedAt, setStartedAt] = useState(() => Date.now());
+  const [now, setNow] = useState(() => Date.now());
+  const [finishedAt, setFinishedAt] = useState(null);
+
+  const byId = useMemo(() => new Map(round.words.map((w) => [getWordId(w), w])), [round]);
+  const meaningOf = (id) => splitWord(byId.get(id)).korean;
+  const done = round.tiles.length > 0 && matched.size === round.tiles.length;
+
+  useEffect(() => {
+    if (finishedAt) return undefined;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [finishedAt]);
+
+  useEffect(() => {
+    if (!wrong.length) return undefined;
+    const id = setTimeout(() => setWrong([]), FLASH_MS);
+    return () => clearTimeout(id);
+  }, [wrong]);
+
+  const newRound = (nextSize = size) => {
+    setRound(buildRound(words, nextSize));
+    setSelected(null);
+    setMatched(new Set());
+    setWrong([]);
+    setMistakes([]);
+    setStarred([]);
+    setStartedAt(Date.now());
+    setNow(Date.now());
+    setFinishedAt(null);
+  };
+  const changeSize = (next) => {
+    setSize(next);
+    newRound(next);
+  };
+
+  /*─────────────────────────────── 타일 고르기 */
+  const pick = (tile) => {
+    if (matched.has(tile.key) || done) return;
+    const first = round.tiles.find((t) => t.key === selected);
+    if (!first || first.side === tile.side) {
+      setSelected(tile.key === selected ? null : tile.key);
+      return;
+    }
+    setSelected(null);
+    const en = first.side === 'en' ? first : tile;
+    if (isPair(first, tile, meaningOf)) {
+      const next = new Set(matched).add(first.key).add(tile.key);
+      setMatched(next);
+      onAnswer?.(byId.get(en.wordId), 'correct');
+      if (next.size === round.tiles.length) setFinishedAt(Date.now());
+      return;
+    }
+    setWrong([first.key, tile.key]);
+    onAnswer?.(byId.get(en.wordId), 'wrong');
+    const ids = [...new Set([first.wordId, tile.wordId])];
+    setMistakes((m) => [...m, ...ids.filter((id) => !m.includes(id))]);
+    const fresh = recordMismatch(ids)
+      .map((id) => byId.get(id))
+      .filter((w) => w && !confusingIds.has(getWordId(w)));
+    if (fresh.length) {
+      onAddConfusing(fresh);
+      setStarred((s) => [...s, ...fresh.map(getWordId)]);
+    }
+  };
+
+  const tileClass = (tile) => {
+    if (matched.has(tile.key)) return 'invisible';
+    if (wrong.includes(tile.key)) return 'border-red-500 bg-red-50 text-red-700 animate-pulse';
+    if (selected === tile.key) return 'border-indigo-500 bg-indigo-50 text-indigo-800';
+    return tile.side === 'en'
+      ? 'border-gray-200 text-gray-800 hover:border-indigo-300'
+      : 'border-gray-200 text-gray-600 hover:border-indigo-300';
+  };
+
+  if (words.length < 2)
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-8 mb-6 text-center">
+        <p className="text-gray-500">짝 맞추기에는 단어가 2개 이상 필요합니다.</p>
+      </div>
+    );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+      <div className="flex flex-wrap justify-between items-center gap-3 text-sm text-gray-500 mb-4">
+        <span className="flex items-center gap-1">
+          <Clock className="h-4 w-4" />
+          {formatElapsed((finishedAt ?? now) - startedAt)}
+        </span>
+        <span>실수 {mistakes.length ? `${mistakes.length}단어` : 0}</span>
+        <label className="flex items-center gap-2">
+          단어 수
+          <select
+            value={size}
+            onChange={(e) => changeSize(Number(e.target.value))}
+            className="border border-gray-300 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {ROUND_SIZES.map((n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {done ? (
+        <div className="text-center">
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">라운드 완료!</h2>
+          <p className="text-gray-600 mb-4">
+            {formatElapsed(finishedAt - startedAt)} · 실수 {mistakes.length}단어
+          </p>
+          {mistakes.length > 0 && (
+            <ul className="text-sm text-gray-600 mb-4">
+              {mistakes.map((id) => (
+                <li key={id}>
+                  <span className="font-semibold text-gray-800">{splitWord(byId.get(id)).english}</span>{' '}
+                  {meaningOf(id)}
+                  {starred.includes(id) && (
+                    <Star className="inline h-4 w-4 ml-1 fill-yellow-400 text-yellow-500" aria-label="별표됨" />
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {starred.length > 0 && (
+            <p className="text-sm text-yellow-700 mb-4">
+              {STAR_AFTER_MISSES}번 이상 틀린 단어 {starred.length}개를 헷갈리는 단어에 추가했습니다.
+            </p>
+          )}
+          <button
+            onClick={() => newRound()}
+            className="inline-flex items-center gap-2 bg-indigo-600 text-white px-6 py-3 rounded-xl hover:bg-indigo-700 transition-colors shadow-lg"
+          >
+            <RotateCcw className="h-4 w-4" />
+            다음 라운드
+          </button>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {round.tiles.map((tile) => (
+            <button
+              key={tile.key}
+              onClick={() => pick(tile)}
+              disabled={matched.has(tile.key)}
+              aria-pressed={selected === tile.key}
+              lang={tile.side === 'en' ? 'en' : 'ko'}
+              className={`min-h-[4rem] border-2 rounded-xl px-3 py-2 transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 ${
+                tile.side === 'en' ? 'font-semibold' : ''
+              } ${tileClass(tile)}`}
+            >
+              {tile.text}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MatchGame;
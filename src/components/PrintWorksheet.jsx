@@ -0,0 +1,183 @@
+import React, { useState, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { X, Printer, Shuffle } from 'lucide-react';
+import { buildWorksheet } from '../lib/worksheet';
+import { dayLabel, dayWordIndices } from '../lib/plan';
+import { randomSeed } from '../lib/shuffle';
+
+const PREVIEW_ROWS = 6;
+
+/**
+ * PrintWorksheet – A4 시험지 인쇄
+ *   • 대상: 일차 범위 or 헷갈리는 단어, 순서(원래/섞기), 방향(한→영/영→한).
+ *   • 문제지(2단, 단어 + 빈칸) 다음 쪽에 정답지. 인쇄는 브라우저 인쇄(PDF 저장 가능).
+ *   • 인쇄용 마크업은 body 에 포털로 – 인쇄 CSS(index.css)가 #root 를 숨김.
+ */
+const PrintWorksheet = ({ words, schedule, starredWords, initialDay, mode, onClose }) => {
+  const totalDays = schedule.days.length;
+  const [source, setSource] = useState('day'); // 'day' | 'starred'
+  const [from, setFrom] = useState(initialDay);
+  const [to, setTo] = useState(initialDay);
+  const [order, setOrder] = useState('shuffled');
+  const [direction, setDirection] = useState(mode);
+  const [seed, setSeed] = useState(() => randomSeed());
+
+  const selected = useMemo(
+    () =>
+      source === 'starred'
+        ? starredWords
+        : dayWordIndices(schedule, from, Math.max(from, to), words.length).map((i) => words[i]),
+    [source, starredWords, schedule, from, to, words]
+  );
+  const items = useMemo(() => buildWorksheet(selected, { direction, order, seed }), [selected, direction, order, seed]);
+
+  const title =
+    source === 'starred'
+      ? '헷갈리는 단어'
+      : from === to || to < from
+      ? dayLabel(schedule, from)
+      : `${from}–${to}일차`;
+  const directionLabel = direction === 'ko-to-en' ? '한 → 영' : '영 → 한';
+
+  const changeFrom = (day) => {
+    setFrom(day);
+    if (to < day) setTo(day);
+  };
+
+  const selectClass =
+    'border border-gray-300 rounded-lg px-3 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50';
+  const dayOptions = Array.from({ length: totalDays }, (_, i) => (
+    <option key={i + 1} value={i + 1}>
+      {dayLabel(schedule, i + 1)}
+    </option>
+  ));
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mb-6 text-left">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-800">시험지 인쇄</h2>
+        <button onClick={onClose} aria-label="닫기" className="p-2 rounded-full hover:bg-gray-100">
+          <X className="h-5 w-5 text-gray-600" />
+        </button>
+      </div>
+
+      <div className="space-y-4 text-sm text-gray-700">
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2">
+            <input type="radio" checked={source === 'day'} onChange={() => setSource('day')} />
+            일차
+          </label>
+          <select
+            value={from}
+            onChange={(e) => changeFrom(Number(e.target.value))}
+            disabled={source !== 'day'}
+            aria-label="시작 일차"
+            className={selectClass}
+          >
+            {dayOptions}
+          </select>
+          <span>~</span>
+          <select
+            value={to}
+            onChange={(e) => setTo(Number(e.target.value))}
+            disabled={source !== 'day'}
+            aria-label="끝 일차"
+            className={selectClass}
+          >
+            {dayOptions}
+          </select>
+          <label className="flex items-center gap-2 ml-2">
+            <input type="radio" checked={source === 'starred'} onChange={() => setSource('starred')} />
+            헷갈리는 단어 ({starredWords.length})
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <select value={direction} onChange={(e) => setDirection(e.target.value)} aria-label="방향" className={selectClass}>
+            <option value="en-to-ko">영 → 한</option>
+            <option value="ko-to-en">한 → 영</option>
+          </select>
+          <select value={order} onChange={(e) => setOrder(e.target.value)} aria-label="순서" className={selectClass}>
+            <option value="shuffled">섞어서</option>
+            <option value="ordered">원래 순서</option>
+          </select>
+          {order === 'shuffled' && (
+            <button
+              onClick={() => setSeed(randomSeed())}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+            >
+              <Shuffle className="h-4 w-4" />
+              다시 섞기
+            </button>
+          )}
+        </div>
+
+        {/* 미리보기 */}
+        <div className="bg-gray-50 rounded-lg p-3">
+          <p className="font-medium mb-2">
+            {title} · {directionLabel} · {items.length}문항
+          </p>
+          <ol className="grid grid-cols-2 gap-x-6 gap-y-1 text-gray-600">
+            {items.slice(0, PREVIEW_ROWS).map((item) => (
+              <li key={item.no}>
+                {item.no}. {item.prompt} ______
+              </li>
+            ))}
+          </ol>
+          {items.length > PREVIEW_ROWS && <p className="text-gray-400 mt-1">…</p>}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            onClick={() => window.print()}
+            disabled={!items.length}
+            className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Printer className="h-4 w-4" />
+            인쇄 / PDF 저장
+          </button>
+        </div>
+      </div>
+
+      {/* 인쇄용 – 화면에는 보이지 않음 */}
+      {createPortal(
+        <div className="print-area text-black text-[11pt]">
+          <header className="flex justify-between items-end border-b-2 border-black pb-2 mb-4">
+            <div>
+              <h1 className="text-xl font-bold">단어 시험 – {title}</h1>
+              <p>
+                {directionLabel} · {items.length}문항
+              </p>
+            </div>
+            <p>이름 ____________ 날짜 ________ 점수 ____ / {items.length}</p>
+          </header>
+          <ol className="columns-2 gap-8">
+            {items.map((item) => (
+              <li key={item.no} className="flex items-end gap-2 py-1.5 break-inside-avoid">
+                <span className="w-8 text-right">{item.no}.</span>
+                <span className="shrink-0">{item.prompt}</span>
+                <span className="flex-1 border-b border-gray-500 min-w-[4rem]" />
+              </li>
+            ))}
+          </ol>
+
+          <section className="break-before-page">
+            <h2 className="text-lg font-bold border-b-2 border-black pb-2 mb-4">정답 – {title}</h2>
+            <ol className="columns-2 gap-8">
+              {items.map((item) => (
+                <li key={item.no} className="flex gap-2 py-0.5 break-inside-avoid">
+                  <span className="w-8 text-right">{item.no}.</span>
+                  <span>{item.prompt}</span>
+                  <span className="font-semibold">{item.answer}</span>
+                </li>
+              ))}
+            </ol>
+          </section>
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+};
+
+export default PrintWorksheet;
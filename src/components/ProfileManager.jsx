@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { X, Plus, Pencil, Trash2, Download, Check } from 'lucide-react';
+import { createProfile, renameProfile, deleteProfile, exportProfile } from '../lib/profiles';
+import { downloadText } from '../lib/backup';
+import { dateKey } from '../lib/stats';
+
+/**
+ * ProfileManager – 프로필 만들기 / 이름 바꾸기 / 삭제 / 내보내기
+ *   • 목록 변경은 onChanged(새 상태)로 알리고, 전환은 onSwitch(id) – 전환은 App 이 새로고침으로 처리.
+ *   • 현재 프로필을 지우면 남은 첫 프로필로 전환.
+ */
+const ProfileManager = ({ profiles, onChanged, onSwitch, onClose }) => {
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [error, setError] = useState('');
+
+  const add = () => {
+    if (!newName.trim()) return;
+    onChanged(createProfile(newName));
+    setNewName('');
+  };
+  const startRename = (profile) => {
+    setEditingId(profile.id);
+    setEditName(profile.name);
+  };
+  const saveRename = () => {
+    if (editName.trim()) onChanged(renameProfile(editingId, editName));
+    setEditingId(null);
+  };
+  const remove = async (profile) => {
+    if (!window.confirm(`'${profile.name}' 프로필과 학습 기록을 모두 삭제할까요?`)) return;
+    setError('');
+    try {
+      const next = await deleteProfile(profile.id);
+      if (profile.id === profiles.active) onSwitch(next.active);
+      else onChanged(next);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || '프로필을 삭제하지 못했습니다.');
+    }
+  };
+  const download = (profile) => {
+    const data = exportProfile(profile.id);
+    downloadText(
+      `word-quiz-${profile.name}-${dateKey(Date.now())}.json`,
+      JSON.stringify(data, null, 2),
+      'application/json'
+    );
+  };
+
+  const inputClass =
+    'border border-gray-300 rounded-lg px-3 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mb-6 text-left">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-800">프로필</h2>
+        <button onClick={onClose} aria-label="닫기" className="p-2 rounded-full hover:bg-gray-100">
+          <X className="h-5 w-5 text-gray-600" />
+        </button>
+      </div>
+
+      <ul className="divide-y divide-gray-100 mb-4">
+        {profiles.list.map((profile) => (
+          <li key={profile.id} className="flex items-center justify-between gap-3 py-2">
+            {editingId === profile.id ? (
+              <input
+                value={editName}
+                onChange={(e) => setEditName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') saveRename();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+                autoFocus
+                aria-label="프로필 이름"
+                className={`${inputClass} flex-1`}
+              />
+            ) : (
+              <button
+                onClick={() => profile.id !== profiles.active && onSwitch(profile.id)}
+                className="flex-1 text-left text-gray-800"
+              >
+                {profile.name}
+                {profile.id === profiles.active && <span className="ml-2 text-xs text-indigo-600">사용 중</span>}
+              </button>
+            )}
+            <div className="flex gap-1">
+              {editingId === profile.id ? (
+                <button onClick={saveRename} aria-label="이름 저장" className="p-2 rounded hover:bg-gray-100">
+                  <Check className="h-4 w-4 text-green-600" />
+                </button>
+              ) : (
+                <button onClick={() => startRename(profile)} aria-label="이름 바꾸기" className="p-2 rounded hover:bg-gray-100">
+                  <Pencil className="h-4 w-4 text-gray-600" />
+                </button>
+              )}
+              <button onClick={() => download(profile)} aria-label="내보내기" className="p-2 rounded hover:bg-gray-100">
+                <Download className="h-4 w-4 text-gray-600" />
+              </button>
+              <button
+                onClick={() => remove(profile)}
+                disabled={profiles.list.length <= 1}
+                aria-label="삭제"
+                className="p-2 rounded hover:bg-red-50 disabled:opacity-30 disabled:cursor-not-allowed"
+              >
+                <Trash2 className="h-4 w-4 text-red-500" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex gap-2">
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && add()}
+          placeholder="새 프로필 이름"
+          aria-label="새 프로필 이름"
+          className={`${inputClass} flex-1`}
+        />
+        <button
+          onClick={add}
+          disabled={!newName.trim()}
+          className="flex items-center gap-1 px-4 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Plus className="h-4 w-4" />
+          추가
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+    </div>
+  );
+};
+
+export default ProfileManager;
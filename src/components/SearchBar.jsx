@@ -0,0 +1,107 @@
+import React, { useState, useMemo, useDeferredValue } from 'react';
+import { Search } from 'lucide-react';
+import { buildSearchIndex, searchWords } from '../lib/search';
+import { splitWord } from '../lib/words';
+
+/**
+ * SearchBar – 전체 덱 검색
+ *   • 영어 표제어(접두어)·한글 뜻으로 찾고, 결과마다 소속 일차 표시.
+ *   • ↑/↓ 선택, Enter 이동, Esc 닫기.
+ */
+const SearchBar = ({ words, dayOfIndex, onJump }) => {
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const [open, setOpen] = useState(false);
+  const deferredQuery = useDeferredValue(query);
+
+  const index = useMemo(() => buildSearchIndex(words), [words]);
+  const results = useMemo(() => searchWords(index, deferredQuery), [index, deferredQuery]);
+
+  const jump = (result) => {
+    onJump(result.idx);
+    setQuery('');
+    setOpen(false);
+  };
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive((i) => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive((i) => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && results[active]) {
+      e.preventDefault();
+      jump(results[active]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const showResults = open && query.trim() !== '';
+
+  return (
+    <div className="relative mb-6">
+      <div className="flex items-center gap-2 bg-white rounded-2xl shadow-lg px-4 py-3">
+        <Search className="h-5 w-5 text-indigo-600" aria-hidden="true" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActive(0);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={onKeyDown}
+          placeholder="단어 검색 (영어 표제어·접두어, 한글 뜻)"
+          aria-label="단어 검색"
+          aria-expanded={showResults}
+          aria-controls="search-results"
+          role="combobox"
+          className="flex-1 focus:outline-none"
+        />
+      </div>
+
+      {showResults && (
+        <ul
+          id="search-results"
+          role="listbox"
+          className="absolute z-20 left-0 right-0 mt-2 bg-white rounded-xl shadow-xl max-h-80 overflow-y-auto text-left"
+        >
+          {results.length ? (
+            results.map((r, i) => {
+              const { english, korean } = splitWord(r.word);
+              return (
+                <li
+                  key={r.idx}
+                  role="option"
+                  aria-selected={i === active}
+                  // blur 보다 먼저 처리해야 클릭이 먹힘
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    jump(r);
+                  }}
+                  onMouseEnter={() => setActive(i)}
+                  className={`flex items-center justify-between gap-4 px-4 py-2 cursor-pointer ${
+                    i === active ? 'bg-indigo-50' : ''
+                  }`}
+                >
+                  <span className="min-w-0">
+                    <span className="font-semibold text-gray-800">{english}</span>
+                    <span className="text-gray-500 text-sm"> {korean}</span>
+                  </span>
+                  <span className="text-xs text-indigo-600 whitespace-nowrap">{dayOfIndex(r.idx)}일차</span>
+                </li>
+              );
+            })
+          ) : (
+            <li className="px-4 py-3 text-gray-500 text-sm">검색 결과가 없습니다.</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBar;
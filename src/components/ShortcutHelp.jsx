@@ -0,0 +1,64 @@
+import React, { useEffect, useRef } from 'react';
+import { X } from 'lucide-react';
+import { SHORTCUTS } from '../lib/shortcuts';
+
+/**
+ * ShortcutHelp – `?` 로 여는 단축키 목록 (모달)
+ */
+const ShortcutHelp = ({ onClose }) => {
+  const closeRef = useRef(null);
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    closeRef.current?.focus();
+    return () => previous?.focus?.();
+  }, []);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        className="bg-white rounded-2xl shadow-xl p-6 w-full max-w-md text-left"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 id="shortcut-help-title" className="text-xl font-bold text-gray-800">
+            키보드 단축키
+          </h2>
+          <button
+            ref={closeRef}
+            onClick={onClose}
+            aria-label="닫기"
+            className="p-2 rounded-full hover:bg-gray-100"
+          >
+            <X className="h-5 w-5 text-gray-600" />
+          </button>
+        </div>
+        <dl className="space-y-2">
+          {SHORTCUTS.map(({ keys, description }) => (
+            <div key={description} className="flex justify-between items-center gap-4">
+              <dt className="flex gap-1">
+                {keys.map((k) => (
+                  <kbd
+                    key={k}
+                    className="min-w-[2rem] text-center px-2 py-0.5 border border-gray-300 border-b-2 rounded bg-gray-50 text-sm font-mono"
+                  >
+                    {k}
+                  </kbd>
+                ))}
+              </dt>
+              <dd className="text-sm text-gray-600">{description}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
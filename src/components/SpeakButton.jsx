@@ -0,0 +1,33 @@
+import React from 'react';
+import { Volume2 } from 'lucide-react';
+import { speak, cancelSpeech, isSpeechSupported, loadSpeechSettings } from '../lib/speech';
+
+/**
+ * SpeakButton – 텍스트 읽어주기 버튼
+ *   • 카드/타일 위에 겹쳐 놓이므로 클릭·키 입력이 바깥(뒤집기·단축키)으로 번지지 않게 막음.
+ */
+const SpeakButton = ({ text, className = '' }) => {
+  if (!isSpeechSupported() || !text) return null;
+
+  const onClick = (e) => {
+    e.stopPropagation();
+    cancelSpeech();
+    speak(text, { rate: loadSpeechSettings().rate });
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' || e.key === ' ') e.stopPropagation();
+      }}
+      aria-label={`발음 듣기: ${text}`}
+      className={`p-2 rounded-full transition-colors ${className}`}
+    >
+      <Volume2 className="h-5 w-5" />
+    </button>
+  );
+};
+
+export default SpeakButton;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Flame, Clock, Target } from 'lucide-react';
+import { loadEvents, summarize, formatDuration } from '../lib/stats';
+import { getWordId, splitWord } from '../lib/words';
+
+const heatColor = (count) => {
+  if (!count) return 'bg-gray-100';
+  if (count < 20) return 'bg-indigo-200';
+  if (count < 100) return 'bg-indigo-400';
+  return 'bg-indigo-600';
+};
+
+const percent = ({ correct, total }) => (total ? Math.round((correct / total) * 100) : 0);
+
+/**
+ * StatsDashboard – 학습 기록 대시보드 (현재 덱 기준)
+ *   • 연속 학습 달력, 일일 목표 페이스, 일차별 외운 단어, 방향별 정확도, 어려운 단어,
+ *     맞혔지만 느린 단어(시간 제한 챌린지).
+ */
+const StatsDashboard = ({ deckId, words, studyDays, wordDays, daySize, onClose }) => {
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadEvents()
+      .then(setEvents)
+      .catch((e) => {
+        console.error(e);
+        setError('학습 기록을 불러오지 못했습니다.');
+      });
+  }, []);
+
+  const stats = useMemo(
+    () => (events ? summarize(events, { deckId, dailyTarget: daySize, wordDays }) : null),
+    [events, deckId, daySize, wordDays]
+  );
+  const wordById = useMemo(() => new Map(words.map((w) => [getWordId(w), w])), [words]);
+
+  const card = 'bg-gray-50 rounded-xl p-4';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mb-6 text-left">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-800">학습 통계</h2>
+        <button onClick={onClose} aria-label="닫기" className="p-2 rounded-full hover:bg-gray-100">
+          <X className="h-5 w-5 text-gray-600" />
+        </button>
+      </div>
+
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+      {!stats && !error && <p className="text-gray-500">불러오는 중...</p>}
+
+      {stats && (
+        <div className="space-y-6">
+          {/* 요약 */}
+          <div className="grid gap-4 md:grid-cols-3">
+            <div className={card}>
+              <div className="flex items-center gap-2 text-sm text-gray-500">
+                <Flame className="h-4 w-4 text-orange-500" />
+                연속 학습
+              </div>
+              <p className="text-2xl font-bold text-gray-800">{stats.streak}일</p>
+            </div>
+            <div className={card}>
+              <div className="flex items-center gap-2 text-sm text-gray-500">
+                <Clock className="h-4 w-4 text-indigo-600" />
+                학습 시간 (오늘 / 전체)
+              </div>
+              <p className="text-2xl font-bold text-gray-800">
+                {formatDuration(stats.todayTime)} / {formatDuration(stats.totalTime)}
+              </p>
+            </div>
+            <div className={card}>
+              <div className="flex items-center gap-2 text-sm text-gray-500">
+                <Target className="h-4 w-4 text-green-600" />
+                오늘 본 단어 (목표 {daySize}개)
+              </div>
+              <p className="text-2xl font-bold text-gray-800">{stats.todayWords}개</p>
+            </div>
+          </div>
+
+          {/* 달력 */}
+          <section>
+            <h3 className="font-medium text-gray-700 mb-2">학습 달력</h3>
+            <div className="grid grid-rows-7 grid-flow-col gap-1 w-max">
+              {stats.calendar.map(({ date, count }) => (
+                <div key={date} title={`${date} · ${count}회`} className={`h-3 w-3 rounded-sm ${heatColor(count)}`} />
+              ))}
+            </div>
+          </section>
+
+          {/* 페이스 */}
+          <section>
+            <h3 className="font-medium text-gray-700 mb-2">
+              최근 14일 페이스 – 공부한 {stats.paceActiveDays}일 중 {stats.paceHolding}일 목표 달성
+            </h3>
+            <div className="flex items-end gap-1 h-24 border-b border-gray-200">
+              {stats.pace.map(({ date, words: count }) => (
+                <div key={date} className="flex-1 flex flex-col justify-end h-full" title={`${date} · ${count}개`}>
+                  <div
+                    className={`rounded-t ${count >= daySize ? 'bg-green-500' : 'bg-indigo-300'}`}
+                    style={{ height: `${Math.min(100, (count / daySize) * 100)}%` }}
+                  />
+                </div>
+              ))}
+            </div>
+          </section>
+
+          {/* 방향별 정확도 */}
+          <section>
+            <h3 className="font-medium text-gray-700 mb-2">방향별 정확도</h3>
+            {[
+              ['ko-to-en', '한→영'],
+              ['en-to-ko', '영→한'],
+            ].map(([key, label]) => (
+              <div key={key} className="flex items-center gap-3 mb-1 text-sm">
+                <span className="w-12 text-gray-600">{label}</span>
+                <div className="flex-1 bg-gray-200 rounded-full h-2">
+                  <div className="bg-indigo-500 h-2 rounded-full" style={{ width: `${percent(stats.accuracy[key])}%` }} />
+                </div>
+                <span className="w-28 text-right text-gray-500">
+                  {percent(stats.accuracy[key])}% ({stats.accuracy[key].total}회)
+                </span>
+              </div>
+            ))}
+          </section>
+
+          {/* 일차별 외운 단어 */}
+          <section>
+            <h3 className="font-medium text-gray-700 mb-2">일차별 외운 단어</h3>
+            <div className="grid gap-1 md:grid-cols-2">
+              {studyDays.map((day) => {
+                const learned = stats.learnedByDay[day] || 0;
+                return (
+                  <div key={day} className="flex items-center gap-3 text-sm">
+                    <span className="w-12 text-gray-600">{day}일차</span>
+                    <div className="flex-1 bg-gray-200 rounded-full h-2">
+                      <div className="bg-emerald-500 h-2 rounded-full" style={{ width: `${(learned / daySize) * 100}%` }} />
+                    </div>
+                    <span className="w-16 text-right text-gray-500">
+                      {learned}/{daySize}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+
+          {/* 어려운 단어 */}
+          <section>
+            <h3 className="font-medium text-gray-700 mb-2">어려운 단어</h3>
+            {stats.hardest.length ? (
+              <ol className="divide-y divide-gray-100">
+                {stats.hardest.map(({ wordId, misses, attempts }) => {
+                  const { english, korean } = splitWord(wordById.get(wordId));
+                  return (
+                    <li key={wordId} className="flex justify-between py-1 text-sm">
+                      <span>
+                        <span className="font-semibold text-gray-800">{english || wordId}</span>
+                        <span className="text-gray-500"> {korean}</span>
+                      </span>
+                      <span className="text-red-500">
+                        {misses}/{attempts} 틀림
+                      </span>
+                    </li>
+                  );
+                })}
+              </ol>
+            ) : (
+              <p className="text-sm text-gray-500">아직 틀린 단어가 없습니다.</p>
+            )}
+          </section>
+
+          {/* 느린 단어 */}
+          {stats.slowest.length > 0 && (
+            <section>
+              <h3 className="font-medium text-gray-700 mb-2">느린 단어 (맞혔지만 오래 걸림)</h3>
+              <ol className="divide-y divide-gray-100">
+                {stats.slowest.map(({ wordId, slow, avgLatency }) => {
+                  const { english, korean } = splitWord(wordById.get(wordId));
+                  return (
+                    <li key={wordId} className="flex justify-between py-1 text-sm">
+                      <span>
+                        <span className="font-semibold text-gray-800">{english || wordId}</span>
+                        <span className="text-gray-500"> {korean}</span>
+                      </span>
+                      <span className="text-amber-600">
+                        {slow}회 · 평균 {(avgLatency / 1000).toFixed(1)}초
+                      </span>
+                    </li>
+                  );
+                })}
+              </ol>
+            </section>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatsDashboard;
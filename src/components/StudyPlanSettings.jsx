@@ -0,0 +1,115 @@
+import React, { useState, useMemo } from 'react';
+import { X } from 'lucide-react';
+import { buildSchedule } from '../lib/plan';
+import { dateKey } from '../lib/stats';
+
+const REVIEW_OPTIONS = [0, 2, 3, 4, 5, 6];
+
+/**
+ * StudyPlanSettings – 학습 계획 설정
+ *   • 하루 단어 수 직접 지정 or 시험일 기준 자동 계산, 복습일 주기.
+ *   • 저장 전까지는 미리보기만 – 적용은 onSave 에서.
+ */
+const StudyPlanSettings = ({ plan, wordCount, onSave, onClose }) => {
+  const [draft, setDraft] = useState(plan);
+  const preview = useMemo(() => buildSchedule(wordCount, draft), [wordCount, draft]);
+  const reviewDays = preview.days.filter((d) => d.kind === 'review').length;
+
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const save = () => {
+    const startDate = draft.type === 'exam' ? draft.startDate || dateKey(Date.now()) : '';
+    onSave({ ...draft, startDate, wordsPerDay: Math.max(1, Number(draft.wordsPerDay) || 1) });
+  };
+
+  const inputClass =
+    'border border-gray-300 rounded-lg px-3 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mb-6 text-left">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-800">학습 계획</h2>
+        <button onClick={onClose} aria-label="닫기" className="p-2 rounded-full hover:bg-gray-100">
+          <X className="h-5 w-5 text-gray-600" />
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              checked={draft.type === 'fixed'}
+              onChange={() => update({ type: 'fixed' })}
+            />
+            하루 단어 수
+          </label>
+          <input
+            type="number"
+            min={1}
+            value={draft.wordsPerDay}
+            disabled={draft.type !== 'fixed'}
+            onChange={(e) => update({ wordsPerDay: e.target.value })}
+            className={`${inputClass} w-24`}
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              checked={draft.type === 'exam'}
+              onChange={() => update({ type: 'exam', startDate: '' })}
+            />
+            시험일 기준
+          </label>
+          <input
+            type="date"
+            value={draft.examDate}
+            min={dateKey(Date.now())}
+            disabled={draft.type !== 'exam'}
+            onChange={(e) => update({ examDate: e.target.value, startDate: '' })}
+            className={inputClass}
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <span>복습일</span>
+          <select
+            value={draft.reviewEvery}
+            onChange={(e) => update({ reviewEvery: Number(e.target.value), startDate: '' })}
+            className={inputClass}
+          >
+            {REVIEW_OPTIONS.map((n) => (
+              <option key={n} value={n}>
+                {n ? `${n}일차마다 복습` : '없음'}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <p className="text-sm text-gray-600 bg-gray-50 rounded-lg p-3">
+          하루 {preview.size}개 · 총 {preview.days.length}일
+          {reviewDays > 0 && ` (복습일 ${reviewDays}일 포함)`}
+        </p>
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            취소
+          </button>
+          <button
+            onClick={save}
+            disabled={draft.type === 'exam' && !draft.examDate}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            적용
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudyPlanSettings;
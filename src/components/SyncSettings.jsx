@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { X, RefreshCw, CloudOff } from 'lucide-react';
+
+/**
+ * SyncSettings – 기기 간 동기화 설정
+ *   • 서버 주소 + 동기화 코드(같은 코드끼리 공유). 켜면 App 이 주기적으로 syncNow.
+ *   • 테스트: `npm run sync-server` 로 로컬 서버(server/mock-sync-server.js).
+ */
+const SyncSettings = ({ settings, status, onSave, onSyncNow, onClose }) => {
+  const [draft, setDraft] = useState(settings);
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const dirty = JSON.stringify(draft) !== JSON.stringify(settings);
+
+  const inputClass =
+    'border border-gray-300 rounded-lg px-3 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mb-6 text-left">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-800">기기 간 동기화</h2>
+        <button onClick={onClose} aria-label="닫기" className="p-2 rounded-full hover:bg-gray-100">
+          <X className="h-5 w-5 text-gray-600" />
+        </button>
+      </div>
+
+      <div className="space-y-4 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={draft.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          별표·복습 일정·메모·학습 기록 동기화
+        </label>
+        <label className="flex flex-col gap-1">
+          서버 주소
+          <input
+            value={draft.url}
+            onChange={(e) => update({ url: e.target.value })}
+            placeholder="http://localhost:8787"
+            className={inputClass}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          동기화 코드 (휴대폰·노트북에 같은 코드 입력)
+          <input value={draft.space} onChange={(e) => update({ space: e.target.value.trim() })} className={inputClass} />
+        </label>
+
+        <div className="bg-gray-50 rounded-lg p-3 text-gray-600">
+          {status.state === 'offline' && (
+            <p className="flex items-center gap-2">
+              <CloudOff className="h-4 w-4" />
+              오프라인 – 연결되면 자동으로 동기화합니다.
+            </p>
+          )}
+          {status.state === 'error' && <p className="text-red-600">동기화 실패: {status.message}</p>}
+          {status.state === 'syncing' && <p>동기화 중...</p>}
+          <p>
+            보낼 변경 {status.pending}개
+            {status.lastSyncedAt > 0 && ` · 마지막 동기화 ${new Date(status.lastSyncedAt).toLocaleString()}`}
+          </p>
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onSyncNow}
+            disabled={!settings.enabled || dirty || status.state === 'syncing'}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RefreshCw className={`h-4 w-4 ${status.state === 'syncing' ? 'animate-spin' : ''}`} />
+            지금 동기화
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            disabled={!dirty || (draft.enabled && (!draft.url || !draft.space))}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            저장
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncSettings;
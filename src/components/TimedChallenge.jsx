@@ -0,0 +1,394 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Timer, Trophy, Star, RotateCcw, CheckCircle, XCircle } from 'lucide-react';
+import { buildChoiceQuestions } from '../lib/choices';
+import { shuffleArray } from '../lib/shuffle';
+import { getWordId } from '../lib/words';
+import { shouldIgnoreKey } from '../lib/shortcuts';
+import {
+  CARD_SECONDS,
+  SPRINT_MINUTES,
+  challengeLimit,
+  isSlowAnswer,
+  scoreKey,
+  loadHighScores,
+  recordScore,
+} from '../lib/challenge';
+
+const TICK_MS = 100;
+const FEEDBACK_MS = 500;
+const REVEAL_MS = 1500;
+
+const formatClock = (ms) => {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}초`;
+
+/**
+ * TimedChallenge – 시간 제한 챌린지 (4지선다)
+ *   • 문제별 제한: 시간이 다 되면 정답 공개 후 자동 넘김 or 바로 넘김.
+ *   • 전체 제한: N분 동안 최대한 많이.
+ *   • 답마다 걸린 시간을 onAnswer 로 넘기고(lib/stats), 끝나면 최고 기록 저장(lib/challenge).
+ *     최고 기록은 같은 단어 묶음(setId, 이름은 setLabel)끼리만 비교.
+ *   • 1–4 키로 보기 선택.
+ */
+const TimedChallenge = ({
+  words,
+  pool,
+  mode,
+  daySize,
+  deckId,
+  setId,
+  setLabel,
+  confusingIds,
+  onAddConfusing,
+  onAnswer,
+}) => {
+  const [config, setConfig] = useState({ type: 'card', seconds: 5, minutes: 2, onTimeout: 'reveal' });
+  const [phase, setPhase] = useState('setup'); // 'setup' | 'running' | 'done'
+  const [questions, setQuestions] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const [timedOut, setTimedOut] = useState(false);
+  const [results, setResults] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+  const [questionStart, setQuestionStart] = useState(0);
+  const [endAt, setEndAt] = useState(0);
+  const [best, setBest] = useState(null); // { entry, scores, rank }
+  const tickRef = useRef(null);
+  const advanceRef = useRef(null);
+  const keyRef = useRef(null);
+  const finishedRef = useRef(false); // 마지막 문제·시간 종료가 겹쳐도 기록은 한 번만
+
+  const limit = challengeLimit(config);
+  const question = questions[index];
+  const key = scoreKey(deckId, setId, config);
+
+  /*─────────────────────────────── 진행 */
+  const start = () => {
+    const t = Date.now();
+    setQuestions(buildChoiceQuestions(shuffleArray(words), pool, { mode, daySize }));
+    setIndex(0);
+    setSelected(null);
+    setTimedOut(false);
+    setResults([]);
+    setNow(t);
+    setQuestionStart(t);
+    setEndAt(t + limit);
+    finishedRef.current = false;
+    setPhase('running');
+  };
+
+  const finish = (list) => {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+    const answered = list.filter((r) => r.verdict !== 'timeout');
+    const entry = {
+      correct: list.filter((r) => r.verdict === 'correct').length,
+      total: list.length,
+      avgLatency: answered.length ? Math.round(answered.reduce((sum, r) => sum + r.latency, 0) / answered.length) : 0,
+      ts: Date.now(),
+    };
+    setBest({ ...recordScore(key, entry), entry });
+    setPhase('done');
+  };
+
+  const advance = (list) => {
+    if (index + 1 >= questions.length) {
+      finish(list);
+      return;
+    }
+    setIndex((i) => i + 1);
+    setSelected(null);
+    setTimedOut(false);
+    setQuestionStart(Date.now());
+  };
+
+  const record = (verdict, latency) => {
+    const slow = verdict === 'correct' && isSlowAnswer(latency, config.type === 'card' ? limit : Infinity);
+    onAnswer?.(question.word, verdict, { latency, slow });
+    const next = [...results, { ...question, verdict, latency, slow }];
+    setResults(next);
+    return next;
+  };
+
+  const choose = (option) => {
+    if (phase !== 'running' || selected !== null || timedOut) return;
+    setSelected(option);
+    record(option === question.answer ? 'correct' : 'wrong', Date.now() - questionStart);
+  };
+
+  const expire = () => {
+    const next = record('timeout', limit);
+    if (config.onTimeout === 'reveal') setTimedOut(true);
+    else advance(next);
+  };
+
+  /*─────────────────────────────── 타이머 */
+  tickRef.current = () => {
+    if (phase !== 'running') return; // interval 이 정리되기 전 남은 tick
+    const t = Date.now();
+    setNow(t);
+    if (config.type === 'sprint' && t >= endAt) finish(results);
+    else if (config.type === 'card' && selected === null && !timedOut && t - questionStart >= limit) expire();
+  };
+  advanceRef.current = () => advance(results);
+
+  useEffect(() => {
+    if (phase !== 'running') return undefined;
+    const id = setInterval(() => tickRef.current(), TICK_MS);
+    return () => clearInterval(id);
+  }, [phase]);
+
+  // 답하거나 시간 초과로 정답을 보여준 뒤 잠깐 멈췄다가 다음 문제
+  useEffect(() => {
+    if (phase !== 'running' || (selected === null && !timedOut)) return undefined;
+    const id = setTimeout(() => advanceRef.current(), timedOut ? REVEAL_MS : FEEDBACK_MS);
+    return () => clearTimeout(id);
+  }, [phase, selected, timedOut]);
+
+  keyRef.current = (e) => {
+    if (phase !== 'running' || shouldIgnoreKey(e) || !question) return;
+    const option = question.options[Number(e.key) - 1];
+    if (option !== undefined) choose(option);
+  };
+  useEffect(() => {
+    const onKey = (e) => keyRef.current(e);
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  const update = (patch) => setConfig((c) => ({ ...c, ...patch }));
+  const selectClass =
+    'border border-gray-300 rounded-lg px-3 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50';
+
+  if (!words.length)
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-8 mb-6 text-center">
+        <p className="text-gray-500">단어가 없습니다.</p>
+      </div>
+    );
+
+  /*─────────────────────────────── 설정 화면 */
+  if (phase === 'setup') {
+    const scores = loadHighScores(key);
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+        <h2 className="flex items-center gap-2 text-xl font-bold text-gray-800 mb-4">
+          <Timer className="h-5 w-5 text-indigo-600" />
+          시간 제한 챌린지 ({words.length}단어)
+        </h2>
+        <div className="space-y-3 text-sm text-gray-700 mb-6">
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={config.type === 'card'} onChange={() => update({ type: 'card' })} />
+              문제마다
+            </label>
+            <select
+              value={config.seconds}
+              onChange={(e) => update({ seconds: Number(e.target.value) })}
+              disabled={config.type !== 'card'}
+              aria-label="문제별 제한 시간"
+              className={selectClass}
+            >
+              {CARD_SECONDS.map((s) => (
+                <option key={s} value={s}>{s}초</option>
+              ))}
+            </select>
+            <select
+              value={config.onTimeout}
+              onChange={(e) => update({ onTimeout: e.target.value })}
+              disabled={config.type !== 'card'}
+              aria-label="시간 초과 시"
+              className={selectClass}
+            >
+              <option value="reveal">시간 초과 → 정답 보여주기</option>
+              <option value="skip">시간 초과 → 바로 넘기기</option>
+            </select>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={config.type === 'sprint'} onChange={() => update({ type: 'sprint' })} />
+              전체
+            </label>
+            <select
+              value={config.minutes}
+              onChange={(e) => update({ minutes: Number(e.target.value) })}
+              disabled={config.type !== 'sprint'}
+              aria-label="전체 제한 시간"
+              className={selectClass}
+            >
+              {SPRINT_MINUTES.map((m) => (
+                <option key={m} value={m}>{m}분</option>
+              ))}
+            </select>
+            <span className="text-gray-500">안에 최대한 많이</span>
+          </div>
+        </div>
+
+        {scores.length > 0 && (
+          <div className="bg-gray-50 rounded-lg p-3 mb-6 text-sm">
+            <p className="flex items-center gap-2 font-medium text-gray-700 mb-1">
+              <Trophy className="h-4 w-4 text-yellow-500" />
+              최고 기록 – {setLabel}
+            </p>
+            <ol className="text-gray-600">
+              {scores.map((s, i) => (
+                <li key={s.ts}>
+                  {i + 1}. {s.correct}/{s.total} · 평균 {formatSeconds(s.avgLatency)} ·{' '}
+                  {new Date(s.ts).toLocaleDateString()}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
+        <div className="text-center">
+          <button
+            onClick={start}
+            className="bg-indigo-600 text-white px-8 py-3 rounded-xl hover:bg-indigo-700 transition-colors shadow-lg"
+          >
+            시작
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  /*─────────────────────────────── 결과 화면 */
+  if (phase === 'done') {
+    const correct = results.filter((r) => r.verdict === 'correct');
+    const slow = correct.filter((r) => r.slow);
+    const missed = results.filter((r) => r.verdict !== 'correct');
+    const weak = [...missed, ...slow];
+    const pending = weak.filter((r) => !confusingIds.has(getWordId(r.word)));
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+        <div className="text-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">챌린지 결과</h2>
+          <p className="text-4xl font-bold text-indigo-600 mb-2">
+            {correct.length} / {results.length}
+          </p>
+          <p className="text-gray-500">
+            평균 응답 {formatSeconds(best.entry.avgLatency)}
+          </p>
+          {best.rank > 0 && (
+            <p className="flex items-center justify-center gap-2 mt-2 text-yellow-600 font-semibold">
+              <Trophy className="h-5 w-5" />
+              {best.rank === 1 ? '최고 기록!' : `역대 ${best.rank}위`}
+            </p>
+          )}
+        </div>
+
+        {weak.length > 0 && (
+          <>
+            <div className="flex justify-between items-center mb-3">
+              <span className="font-medium text-gray-700">
+                약한 단어 – 틀림·시간 초과 {missed.length}, 느림 {slow.length}
+              </span>
+              <button
+                onClick={() => onAddConfusing(pending.map((r) => r.word))}
+                disabled={!pending.length}
+                className="flex items-center gap-2 text-sm bg-yellow-500 text-white px-3 py-1 rounded-lg hover:bg-yellow-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Star className="h-4 w-4" />
+                모두 추가
+              </button>
+            </div>
+            <ul className="divide-y divide-gray-200 mb-6 text-sm">
+              {weak.map((r) => (
+                <li key={`${getWordId(r.word)}-${r.verdict}`} className="flex justify-between py-2 gap-4">
+                  <span>
+                    <span className="font-semibold text-gray-800">{r.prompt}</span>
+                    <span className="text-green-700"> {r.answer}</span>
+                  </span>
+                  <span className={r.verdict === 'correct' ? 'text-amber-600' : 'text-red-500'}>
+                    {r.verdict === 'correct'
+                      ? `느림 ${formatSeconds(r.latency)}`
+                      : r.verdict === 'timeout'
+                      ? '시간 초과'
+                      : '틀림'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div className="flex justify-center gap-3">
+          <button
+            onClick={start}
+            className="inline-flex items-center gap-2 bg-indigo-600 text-white px-6 py-3 rounded-xl hover:bg-indigo-700 transition-colors shadow-lg"
+          >
+            <RotateCcw className="h-4 w-4" />
+            다시 하기
+          </button>
+          <button
+            onClick={() => setPhase('setup')}
+            className="px-6 py-3 rounded-xl bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+          >
+            설정
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  /*─────────────────────────────── 진행 화면 */
+  const frozen = selected !== null || timedOut;
+  // 문제별 모드는 답한 순간의 남은 시간에서 멈춤
+  const remaining =
+    config.type === 'sprint'
+      ? endAt - now
+      : frozen
+      ? limit - results[results.length - 1].latency
+      : limit - (now - questionStart);
+  const optionClass = (option) => {
+    if (!frozen) return 'border-gray-200 hover:border-indigo-400 hover:bg-indigo-50';
+    if (option === question.answer) return 'border-green-500 bg-green-50 text-green-800';
+    if (option === selected) return 'border-red-500 bg-red-50 text-red-700';
+    return 'border-gray-200 opacity-60';
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+      <div className="flex justify-between text-sm text-gray-500 mb-2">
+        <span>
+          {index + 1} / {questions.length}
+        </span>
+        <span>맞힘 {results.filter((r) => r.verdict === 'correct').length}</span>
+        <span className={`font-mono ${remaining < 1000 * 3 ? 'text-red-500' : ''}`} aria-live="off">
+          {config.type === 'card' ? formatSeconds(Math.max(0, remaining)) : formatClock(remaining)}
+        </span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-1.5 mb-4">
+        <div
+          className="bg-indigo-500 h-1.5 rounded-full"
+          style={{ width: `${Math.max(0, Math.min(100, (remaining / limit) * 100))}%` }}
+        />
+      </div>
+
+      <div className="bg-gradient-to-br from-indigo-500 to-purple-600 rounded-xl py-10 text-center text-white mb-6">
+        <p className="text-3xl font-bold">{question.prompt}</p>
+        {timedOut && <p className="text-indigo-100 mt-2">시간 초과</p>}
+      </div>
+
+      <div className="grid gap-3 md:grid-cols-2">
+        {question.options.map((option, i) => (
+          <button
+            key={option}
+            onClick={() => choose(option)}
+            className={`flex items-center gap-3 text-left border-2 rounded-xl px-4 py-3 transition-colors ${optionClass(option)}`}
+          >
+            <span className="text-sm text-gray-400">{i + 1}</span>
+            <span className="flex-1">{option}</span>
+            {frozen && option === question.answer && <CheckCircle className="h-5 w-5 text-green-600" />}
+            {selected === option && option !== question.answer && <XCircle className="h-5 w-5 text-red-500" />}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TimedChallenge;
@@ -0,0 +1,141 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { CheckCircle, XCircle, AlertCircle, RotateCcw } from 'lucide-react';
+import { gradeAnswer, VERDICT_SCORE } from '../lib/grading';
+import { splitWord } from '../lib/words';
+
+const VERDICT_UI = {
+  correct: { label: '정답', Icon: CheckCircle, className: 'bg-green-50 text-green-700 border-green-300' },
+  partial: { label: '부분 정답', Icon: AlertCircle, className: 'bg-yellow-50 text-yellow-700 border-yellow-300' },
+  wrong: { label: '오답', Icon: XCircle, className: 'bg-red-50 text-red-700 border-red-300' },
+};
+
+/**
+ * TypingQuiz – 직접 입력해서 답하는 모드
+ *   • 앞면(문제)은 카드 모드와 같은 규칙: mode 에 따라 한/영.
+ *   • Enter: 제출 → 다시 Enter: 다음 문제.
+ *   • 세션 점수는 이 컴포넌트 안에서만 유지 (key 로 리셋).
+ */
+const TypingQuiz = ({ words, mode, onAnswer }) => {
+  const [index, setIndex] = useState(0);
+  const [input, setInput] = useState('');
+  const [result, setResult] = useState(null);
+  const [tally, setTally] = useState({ correct: 0, partial: 0, wrong: 0 });
+  const inputRef = useRef(null);
+
+  const word = words[index];
+  const { korean, english } = splitWord(word);
+  const prompt = mode === 'ko-to-en' ? korean : english;
+  const answer = mode === 'ko-to-en' ? english : korean;
+  const answered = tally.correct + tally.partial + tally.wrong;
+  const score = tally.correct * VERDICT_SCORE.correct + tally.partial * VERDICT_SCORE.partial;
+  const finished = index >= words.length;
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, [index]);
+
+  const submit = () => {
+    if (result) {
+      setResult(null);
+      setInput('');
+      setIndex((i) => i + 1);
+      return;
+    }
+    if (!input.trim()) return;
+    const r = gradeAnswer(input, answer);
+    setResult(r);
+    onAnswer?.(word, r.verdict);
+    setTally((t) => ({ ...t, [r.verdict]: t[r.verdict] + 1 }));
+  };
+  const restart = () => {
+    setIndex(0);
+    setInput('');
+    setResult(null);
+    setTally({ correct: 0, partial: 0, wrong: 0 });
+  };
+
+  if (!words.length)
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-8 mb-6 text-center">
+        <p className="text-gray-500">단어가 없습니다.</p>
+      </div>
+    );
+
+  /*─────────────────────────────── 결과 화면 */
+  if (finished)
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-8 mb-6 text-center">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4">세션 결과</h2>
+        <p className="text-4xl font-bold text-indigo-600 mb-2">
+          {score} / {words.length}
+        </p>
+        <p className="text-gray-600 mb-6">
+          정답 {tally.correct} · 부분 정답 {tally.partial} · 오답 {tally.wrong}
+        </p>
+        <button
+          onClick={restart}
+          className="inline-flex items-center gap-2 bg-indigo-600 text-white px-6 py-3 rounded-xl hover:bg-indigo-700 transition-colors shadow-lg"
+        >
+          <RotateCcw className="h-4 w-4" />
+          다시 하기
+        </button>
+      </div>
+    );
+
+  const verdictUi = result && VERDICT_UI[result.verdict];
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-6">
+      <div className="flex justify-between text-sm text-gray-500 mb-4">
+        <span>
+          {index + 1} / {words.length}
+        </span>
+        <span>
+          점수 {score} / {answered}
+        </span>
+      </div>
+
+      <div className="bg-gradient-to-br from-indigo-500 to-purple-600 rounded-xl py-10 text-center text-white mb-6">
+        <p className="text-3xl font-bold">{prompt}</p>
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          submit();
+        }}
+        className="flex gap-2 mb-4"
+      >
+        <input
+          ref={inputRef}
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          readOnly={Boolean(result)}
+          placeholder={mode === 'ko-to-en' ? '영어로 입력하세요' : '뜻을 입력하세요 (여러 개는 , 로 구분)'}
+          className="flex-1 border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button
+          type="submit"
+          className="bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+        >
+          {result ? '다음' : '확인'}
+        </button>
+      </form>
+
+      {verdictUi && (
+        <div className={`border rounded-lg p-4 flex items-start gap-3 ${verdictUi.className}`}>
+          <verdictUi.Icon className="h-5 w-5 mt-0.5 shrink-0" />
+          <div className="text-left">
+            <p className="font-semibold">
+              {verdictUi.label}
+              {result.typo && ' (오타 허용)'}
+            </p>
+            <p className="text-sm">정답: {answer}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TypingQuiz;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { RefreshCw, X } from 'lucide-react';
+
+/**
+ * UpdatePrompt – 새 버전/새 단어장 알림 띠
+ *   • onAction 이 없으면 닫기만 있는 안내 띠.
+ */
+const UpdatePrompt = ({ message, actionLabel, onAction, onDismiss }) => (
+  <div
+    role="status"
+    className="bg-indigo-600 text-white rounded-2xl shadow-lg p-4 mb-6 flex items-center justify-between gap-4"
+  >
+    <span className="text-sm">{message}</span>
+    <div className="flex items-center gap-2">
+      {onAction && (
+        <button
+          onClick={onAction}
+          className="flex items-center gap-2 bg-white text-indigo-700 px-3 py-1 rounded-lg hover:bg-indigo-50 transition-colors text-sm"
+        >
+          <RefreshCw className="h-4 w-4" />
+          {actionLabel}
+        </button>
+      )}
+      <button onClick={onDismiss} aria-label="닫기" className="p-1 rounded-full hover:bg-white/20">
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  </div>
+);
+
+export default UpdatePrompt;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { GRADUATE_AFTER } from '../lib/weak';
+
+/**
+ * WeakReasons – 약한 단어 덱에 들어온 이유 (카드 위·리스트 타일 안)
+ *   • entry: buildWeakDeck 항목. 점수·이유·졸업까지 남은 연속 정답.
+ */
+const WeakReasons = ({ entry, className = '' }) => {
+  if (!entry) return null;
+  return (
+    <div className={`flex flex-wrap gap-1 text-xs ${className}`}>
+      <span className="px-2 py-0.5 rounded-full bg-orange-100 text-orange-700 font-semibold">{entry.score}점</span>
+      {entry.reasons.map((reason) => (
+        <span key={reason} className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+          {reason}
+        </span>
+      ))}
+      <span className="px-2 py-0.5 rounded-full bg-green-50 text-green-700">
+        졸업까지 연속 정답 {entry.streak}/{GRADUATE_AFTER}
+      </span>
+    </div>
+  );
+};
+
+export default WeakReasons;
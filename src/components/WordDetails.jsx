@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { StickyNote, Pencil } from 'lucide-react';
+import { DETAIL_FIELDS } from '../lib/words';
+
+/**
+ * WordDetails – 품사·예문·유의어/반의어·암기법 + 개인 메모
+ *   • compact: 리스트 타일용 – 읽기 전용, 작은 글씨.
+ *   • 기본: 카드 아래 패널 – 메모 편집 가능(onSaveNote).
+ */
+const WordDetails = ({ word, note, onSaveNote, compact = false }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+
+  if (!word) return null;
+  const fields = DETAIL_FIELDS.filter(({ field }) => word[field]);
+
+  const startEdit = () => {
+    setDraft(note?.text ?? '');
+    setEditing(true);
+  };
+  const save = () => {
+    onSaveNote(draft);
+    setEditing(false);
+  };
+
+  if (compact) {
+    if (!word.pos && !fields.length && !note) return null;
+    return (
+      <div className="mt-3 space-y-1 text-left text-xs text-gray-500">
+        {word.pos && <span className="inline-block bg-gray-100 rounded px-2 py-0.5">{word.pos}</span>}
+        {fields.map(({ field, label }) => (
+          <p key={field}>
+            <span className="font-medium text-gray-600">{label}</span> {word[field]}
+          </p>
+        ))}
+        {note && (
+          <p className="flex gap-1 text-amber-700">
+            <StickyNote className="h-3 w-3 mt-0.5 shrink-0" aria-hidden="true" />
+            {note.text}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="mt-4 space-y-2 text-left text-sm text-gray-700"
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => e.stopPropagation()}
+    >
+      {word.pos && <span className="inline-block bg-gray-100 rounded px-2 py-0.5 text-gray-600">{word.pos}</span>}
+      {fields.map(({ field, label }) => (
+        <p key={field}>
+          <span className="font-medium text-gray-500 mr-2">{label}</span>
+          {field === 'example' ? <i>{word[field]}</i> : word[field]}
+        </p>
+      ))}
+
+      {/* 개인 메모 */}
+      {editing ? (
+        <div className="space-y-2">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={2}
+            autoFocus
+            aria-label="메모"
+            placeholder="나만의 메모나 암기법"
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setEditing(false)}
+              className="px-3 py-1 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              취소
+            </button>
+            <button
+              onClick={save}
+              className="px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+              저장
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-start justify-between gap-2 bg-amber-50 rounded-lg px-3 py-2">
+          <p className={`flex gap-2 ${note ? 'text-amber-800' : 'text-gray-400'}`}>
+            <StickyNote className="h-4 w-4 mt-0.5 shrink-0" aria-hidden="true" />
+            {note ? note.text : '메모 없음'}
+          </p>
+          <button
+            onClick={startEdit}
+            aria-label={note ? '메모 수정' : '메모 추가'}
+            className="p-1 rounded hover:bg-amber-100 text-amber-700"
+          >
+            <Pencil className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WordDetails;
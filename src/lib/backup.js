@@ -0,0 +1,220 @@
+import Papa from 'papaparse';
+import { loadStarred, saveStarred, loadStarRemovals, saveStarRemovals } from './starred';
+import { loadNotes, NOTES_KEY, loadNoteRemovals, saveNoteRemovals } from './notes';
+import { loadSrs, saveSrs } from './srs';
+import { loadPlan, savePlan } from './plan';
+import { loadSpeechSettings, saveSpeechSettings } from './speech';
+import { saveJSON } from './storage';
+import { getWordId, normalizeWord, splitWord } from './words';
+import { dateKey } from './stats';
+import { recordChange } from './sync';
+
+/**
+ * 백업 파일 (내보내기/가져오기)
+ *   • { app: 'word-quiz', version, exportedAt, starred, notes, srs, removed: { starred, notes }, settings: { plan, speech } }
+ *     - 프로필 내보내기(lib/profiles)는 profile(이름) 필드가 더 붙음 – 가져올 때는 무시.
+ *   • 가져오기 = 덮어쓰기가 아니라 단어 id 기준 병합, 같은 단어는 타임스탬프가 최신인 쪽.
+ *     - starred: starredAt / notes: updatedAt / srs: lastReviewed
+ *     - removed: 별표 해제·메모 삭제 시각 – 더 최근이면 지운 쪽이 이김(예전 백업이 지운 것을 되살리지 않음).
+ *     - settings: 항목(plan, speech)마다 updatedAt 이 최신인 쪽.
+ *   • 예전 형식은 migrateBackup 에서 현재 버전으로 올린 뒤 병합.
+ *   • 가져와서 바뀐 항목은 원래 시각 그대로 동기화 대기열에도 넣음(lib/sync).
+ */
+export const BACKUP_APP = 'word-quiz';
+export const BACKUP_VERSION = 3;
+
+/*─────────────────────────────── 내보내기 */
+export const createBackup = (now = Date.now()) => ({
+  app: BACKUP_APP,
+  version: BACKUP_VERSION,
+  exportedAt: now,
+  starred: loadStarred(),
+  notes: loadNotes(),
+  srs: loadSrs(),
+  removed: { starred: loadStarRemovals(), notes: loadNoteRemovals() },
+  settings: { plan: loadPlan(), speech: loadSpeechSettings() },
+});
+
+export const backupFileName = (now = Date.now()) => `word-quiz-backup-${dateKey(now)}.json`;
+
+/*─────────────────────────────── 스키마 마이그레이션 */
+const migrations = {
+  // v1: 버전 필드 없이 localStorage 값을 그대로 모은 형태
+  //     { confusingWords: [{ 영어, 한글 }], srsData } 또는 별표 배열 하나
+  1: (data) => {
+    const raw = Array.isArray(data) ? { confusingWords: data } : data;
+    return {
+      app: BACKUP_APP,
+      version: 2,
+      exportedAt: 0,
+      starred: (raw.confusingWords || []).map((w) => ({ ...normalizeWord(w), starredAt: 0 })),
+      notes: {},
+      srs: raw.srsData || {},
+      settings: {},
+    };
+  },
+  // v2: 삭제 기록이 없고 설정에 시각이 없음 → 설정은 내보낸 시각에 바뀐 것으로 봄
+  2: (data) => ({
+    ...data,
+    version: 3,
+    removed: { starred: {}, notes: {} },
+    settings: Object.fromEntries(
+      Object.entries(data.settings || {}).map(([key, value]) => [key, { ...value, updatedAt: data.exportedAt ?? 0 }])
+    ),
+  }),
+};
+
+export const migrateBackup = (data) => {
+  if (!data || typeof data !== 'object') throw new Error('백업 파일 형식이 아닙니다.');
+  let current = data;
+  let version = Array.isArray(data) || !data.version ? 1 : Number(data.version);
+  if (version > BACKUP_VERSION) throw new Error(`더 새 버전(v${version})의 백업입니다. 앱을 업데이트해 주세요.`);
+  if (!Array.isArray(data) && data.app && data.app !== BACKUP_APP) throw new Error('다른 앱의 백업 파일입니다.');
+  while (version < BACKUP_VERSION) {
+    current = migrations[version](current);
+    version = current.version;
+  }
+  return current;
+};
+
+/*─────────────────────────────── 병합 */
+// { items: { [id]: 값 }, removed: { [id]: 삭제 시각 } } 두 벌 → 단어마다 (값 시각 | 삭제 시각) 중 최신
+// changed: 백업 쪽이 이긴 단어 id (값이 들어왔거나 지워짐)
+const mergeWithRemovals = (local, incoming, field) => {
+  const items = { ...local.items };
+  const removed = { ...local.removed };
+  const changed = new Set();
+  const localTs = (id) => Math.max(items[id]?.[field] ?? (id in items ? 0 : -1), removed[id] ?? -1);
+
+  Object.entries(incoming.items || {}).forEach(([id, value]) => {
+    if ((value?.[field] ?? 0) <= localTs(id)) return;
+    items[id] = value;
+    delete removed[id];
+    changed.add(id);
+  });
+  Object.entries(incoming.removed || {}).forEach(([id, ts]) => {
+    if (ts <= localTs(id)) return;
+    if (id in items) changed.add(id);
+    delete items[id];
+    removed[id] = ts;
+  });
+  return { items, removed, changed: [...changed] };
+};
+
+const mergeStarred = (local, incoming) => {
+  const toMap = (words) =>
+    Object.fromEntries(
+      (words || [])
+        .map(normalizeWord)
+        .filter((w) => getWordId(w))
+        .map((w) => [getWordId(w), w])
+    );
+  const result = mergeWithRemovals(
+    { items: toMap(local.starred), removed: local.removed.starred },
+    { items: toMap(incoming.starred), removed: incoming.removed.starred },
+    'starredAt'
+  );
+  // 원래 별표 순서 유지, 새 단어는 뒤에
+  const ids = [...new Set([...local.starred.map(getWordId), ...Object.keys(result.items)])];
+  return { ...result, merged: ids.filter((id) => id in result.items).map((id) => result.items[id]) };
+};
+
+const mergeSettings = (local, incoming) => {
+  const merged = { ...local };
+  const changed = [];
+  Object.entries(incoming || {}).forEach(([key, value]) => {
+    if (local[key] && (value?.updatedAt ?? 0) <= (local[key].updatedAt ?? 0)) return;
+    merged[key] = value;
+    changed.push(key);
+  });
+  return { merged, changed };
+};
+
+export const mergeBackup = (local, incoming) => {
+  const starred = mergeStarred(local, incoming);
+  const notes = mergeWithRemovals(
+    { items: local.notes, removed: local.removed.notes },
+    { items: incoming.notes, removed: incoming.removed.notes },
+    'updatedAt'
+  );
+  const srs = mergeWithRemovals({ items: local.srs }, { items: incoming.srs }, 'lastReviewed');
+  const settings = mergeSettings(local.settings, incoming.settings);
+  return {
+    data: {
+      ...local,
+      starred: starred.merged,
+      notes: notes.items,
+      srs: srs.items,
+      removed: { starred: starred.removed, notes: notes.removed },
+      settings: settings.merged,
+    },
+    changed: { starred: starred.changed, notes: notes.changed, srs: srs.changed, settings: settings.changed },
+    summary: {
+      starred: starred.changed.length,
+      notes: notes.changed.length,
+      srs: srs.changed.length,
+      settings: settings.changed.length,
+    },
+  };
+};
+
+/*─────────────────────────────── 가져오기 (병합 후 저장) */
+export const importBackup = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('JSON 파일을 읽을 수 없습니다.');
+  }
+  const { data, changed, summary } = mergeBackup(createBackup(), migrateBackup(parsed));
+  saveStarRemovals(data.removed.starred);
+  saveStarred(data.starred);
+  saveJSON(NOTES_KEY, data.notes);
+  saveNoteRemovals(data.removed.notes);
+  saveSrs(data.srs);
+  if (changed.settings.includes('plan')) savePlan(data.settings.plan);
+  if (changed.settings.includes('speech')) saveSpeechSettings(data.settings.speech);
+
+  const starredById = new Map(data.starred.map((w) => [getWordId(w), w]));
+  changed.starred.forEach((id) => {
+    const word = starredById.get(id);
+    if (word) recordChange('star', id, word, word.starredAt ?? 0);
+    else recordChange('unstar', id, null, data.removed.starred[id]);
+  });
+  changed.notes.forEach((id) => {
+    const note = data.notes[id];
+    recordChange('note', id, note ?? null, note ? note.updatedAt ?? 0 : data.removed.notes[id]);
+  });
+  changed.srs.forEach((id) => recordChange('srs', id, data.srs[id], data.srs[id].lastReviewed ?? 0));
+  return summary;
+};
+
+/*─────────────────────────────── 별표 단어 → CSV / Anki TSV */
+const starredRows = (words) =>
+  words.map((w) => {
+    const { english, korean } = splitWord(w);
+    return [english, korean, w.pos || '', w.example || ''];
+  });
+
+// 엑셀에서 한글이 깨지지 않도록 BOM 포함 (parseWordFile 은 BOM 을 무시)
+export const starredToCsv = (words) =>
+  `\uFEFF${Papa.unparse({ fields: ['영어', '한글', '품사', '예문'], data: starredRows(words) })}`;
+
+// Anki 가져오기 지시문 포함 – 탭 구분, 탭·줄바꿈은 공백으로
+export const starredToAnkiTsv = (words) =>
+  [
+    '#separator:tab',
+    '#html:false',
+    '#columns:Front\tBack\tPOS\tExample',
+    ...starredRows(words).map((row) => row.map((cell) => String(cell).replace(/[\t\r\n]+/g, ' ')).join('\t')),
+  ].join('\n');
+
+/*─────────────────────────────── 파일 저장 */
+export const downloadText = (fileName, text, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,38 @@
+import { loadJSON, saveJSON } from './storage';
+
+/**
+ * 시간 제한 챌린지
+ *   • type 'card'  : 문제마다 제한 시간(초). 시간이 다 되면 정답 공개 후 넘김 or 바로 넘김.
+ *   • type 'sprint': 전체 제한 시간(분) 안에 최대한 많이.
+ *   • 최고 기록: { [`${deckId}:${setId}:${type}:${limit}`]: [{ correct, total, avgLatency, ts }] } – 상위 5개.
+ *     - setId: 단어 묶음(학습 대상 + 일차 범위, 예: 'day:3-5', 'confusing') – 크기가 다른 묶음끼리 순위를 섞지 않음.
+ *   • 맞혔지만 느린 답(isSlowAnswer)은 기록에 slow 로 남겨 통계의 '느린 단어'에 반영.
+ */
+export const CHALLENGE_KEY = 'challengeScores';
+export const CARD_SECONDS = [3, 5, 8, 10];
+export const SPRINT_MINUTES = [1, 2, 3, 5];
+const MAX_SCORES = 5;
+const SLOW_MS = 4000;
+const SLOW_RATIO = 0.7; // 문제별 제한이 있으면 제한 시간의 70% 이상 걸린 답도 느림
+
+export const challengeLimit = (config) =>
+  config.type === 'card' ? config.seconds * 1000 : config.minutes * 60 * 1000;
+
+export const isSlowAnswer = (latency, cardLimit = Infinity) =>
+  latency >= Math.min(SLOW_MS, cardLimit * SLOW_RATIO);
+
+/*─────────────────────────────── 최고 기록 */
+export const scoreKey = (deckId, setId, config) =>
+  `${deckId}:${setId}:${config.type}:${config.type === 'card' ? config.seconds : config.minutes}`;
+
+const betterFirst = (a, b) => b.correct - a.correct || a.avgLatency - b.avgLatency;
+
+export const loadHighScores = (key) => loadJSON(CHALLENGE_KEY, {})[key] || [];
+
+// 저장 후 { scores, rank(1부터, 순위 밖이면 0) }
+export const recordScore = (key, entry) => {
+  const all = loadJSON(CHALLENGE_KEY, {});
+  const scores = [...(all[key] || []), entry].sort(betterFirst).slice(0, MAX_SCORES);
+  saveJSON(CHALLENGE_KEY, { ...all, [key]: scores });
+  return { scores, rank: scores.indexOf(entry) + 1 };
+};
@@ -0,0 +1,74 @@
+import { editDistance } from './grading';
+import { getWordId, splitWord } from './words';
+import { shuffleArray, pickRandom } from './shuffle';
+
+/**
+ * 4지선다 문제 생성
+ *   • 오답 보기: 철자가 비슷한 단어 → 같은 일차 → 이웃 일차 → 전체 순으로 채움.
+ *   • 보기 순서는 생성 시점에 한 번만 섞음 (세션 동안 고정).
+ *   • 문제: { word, prompt, answer, options: [string × 4] }
+ */
+const CHOICE_COUNT = 4;
+const SIMILAR_POOL = 5;
+
+const answerOf = (word, mode) => {
+  const { korean, english } = splitWord(word);
+  return mode === 'ko-to-en' ? english : korean;
+};
+const promptOf = (word, mode) => {
+  const { korean, english } = splitWord(word);
+  return mode === 'ko-to-en' ? korean : english;
+};
+
+/*─────────────────────────────── 철자 유사 후보 */
+const similarWords = (word, pool) => {
+  const id = getWordId(word);
+  return pool
+    .map((w) => ({ w, d: editDistance(id, getWordId(w)) / Math.max(id.length, 1) }))
+    .filter(({ w, d }) => d > 0 && d <= 0.5 && getWordId(w) !== id)
+    .sort((a, b) => a.d - b.d)
+    .slice(0, SIMILAR_POOL)
+    .map(({ w }) => w);
+};
+
+const buildOptions = (word, pool, positions, { mode, daySize }) => {
+  const answer = answerOf(word, mode);
+  const taken = new Set([answer]);
+  const picked = [];
+  const take = (candidates) => {
+    const fresh = candidates.filter((w) => !taken.has(answerOf(w, mode)) && answerOf(w, mode));
+    if (!fresh.length || picked.length >= CHOICE_COUNT - 1) return;
+    const w = pickRandom(fresh);
+    taken.add(answerOf(w, mode));
+    picked.push(answerOf(w, mode));
+  };
+
+  const pos = positions.get(getWordId(word)) ?? -1;
+  const day = pos >= 0 ? Math.floor(pos / daySize) : -1;
+  const sliceDay = (d) => (d < 0 ? [] : pool.slice(d * daySize, (d + 1) * daySize));
+  const sameDay = sliceDay(day);
+  const neighbours = [...sliceDay(day - 1), ...sliceDay(day + 1)];
+
+  take(similarWords(word, pool));
+  take(sameDay);
+  take(neighbours);
+  // 부족하면 같은 일차 → 전체에서 보충
+  while (picked.length < CHOICE_COUNT - 1) {
+    const before = picked.length;
+    take(sameDay);
+    if (picked.length === before) take(pool);
+    if (picked.length === before) break;
+  }
+
+  return shuffleArray([answer, ...picked]);
+};
+
+export const buildChoiceQuestions = (questions, pool, { mode, daySize }) => {
+  const positions = new Map(pool.map((w, i) => [getWordId(w), i]));
+  return questions.map((word) => ({
+    word,
+    prompt: promptOf(word, mode),
+    answer: answerOf(word, mode),
+    options: buildOptions(word, pool, positions, { mode, daySize }),
+  }));
+};
@@ -0,0 +1,69 @@
+/**
+ * IndexedDB 래퍼 – 콜백 API 를 Promise 로 감쌈
+ *   • 스토어 추가 시 DB_VERSION 을 올리고 upgrade 에 분기 추가.
+ */
+const DB_NAME = 'word-quiz';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+const upgrade = (db) => {
+  if (!db.objectStoreNames.contains('decks')) db.createObjectStore('decks', { keyPath: 'id' });
+  if (!db.objectStoreNames.contains('events')) {
+    const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+    events.createIndex('ts', 'ts');
+  }
+  // 동기화 대기열(lib/sync) – key: `${profileId}|${종류}:${wordId}`
+  if (!db.objectStoreNames.contains('outbox')) db.createObjectStore('outbox', { keyPath: 'key' });
+};
+
+export const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (storeName, mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+};
+
+export const dbGetAll = (store) => run(store, 'readonly', (s) => s.getAll());
+export const dbGet = (store, key) => run(store, 'readonly', (s) => s.get(key));
+export const dbPut = (store, value) => run(store, 'readwrite', (s) => s.put(value));
+export const dbAdd = (store, value) => run(store, 'readwrite', (s) => s.add(value));
+export const dbDelete = (store, key) => run(store, 'readwrite', (s) => s.delete(key));
+
+// 키가 after 보다 큰 레코드를 키 순서대로 (count 개까지)
+export const dbGetAfter = (store, after, count) =>
+  run(store, 'readonly', (s) => s.getAll(IDBKeyRange.lowerBound(after, true), count));
+
+// 조건에 맞는 레코드 일괄 삭제 (커서 순회)
+export const dbDeleteWhere = async (store, predicate) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, 'readwrite');
+    const req = tx.objectStore(store).openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      if (predicate(cursor.value)) cursor.delete();
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
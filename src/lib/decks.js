@@ -0,0 +1,107 @@
+import { dbGetAll, dbGet, dbPut, dbDelete } from './db';
+import { parseWordFile, guessMapping, applyMapping } from './parse';
+import { loadJSON, saveJSON, loadGlobal, saveGlobal } from './storage';
+import { buildQualityReport, countBlankLines, dominantSeparator, normalizeMeaning } from './quality';
+
+/**
+ * 단어장(덱) 저장소
+ *   • 기본 덱(builtin)은 /word.csv 를 그대로 읽음 – IndexedDB 에 저장하지 않음.
+ *   • 가져온 덱: { id, name, words, count, createdAt } 를 IndexedDB 'decks' 에 저장.
+ *   • 덱 보정(deckFixes, 프로필 공용): { [deckId]: { separators } } – 불러올 때 뜻 구분자 통일.
+ */
+export const BUILTIN_DECK = { id: 'builtin', name: 'GRE (기본)', url: '/word.csv' };
+export const ACTIVE_DECK_KEY = 'activeDeck';
+export const DECK_FIXES_KEY = 'deckFixes';
+
+export const loadActiveDeck = () => loadJSON(ACTIVE_DECK_KEY, BUILTIN_DECK.id);
+export const saveActiveDeck = (id) => saveJSON(ACTIVE_DECK_KEY, id);
+
+/*─────────────────────────────── 목록 */
+export const listDecks = async () => {
+  const stored = await dbGetAll('decks');
+  return [
+    BUILTIN_DECK,
+    ...stored
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(({ id, name, count, createdAt }) => ({ id, name, count, createdAt })),
+  ];
+};
+
+/*─────────────────────────────── 단어 로드 */
+// 서비스 워커가 없거나 아직 설치 전이면 Cache Storage 를 직접 확인 (오프라인 대비)
+const fetchBuiltin = async () => {
+  try {
+    const res = await fetch(BUILTIN_DECK.url);
+    if (res.ok) return res;
+    throw new Error(`${BUILTIN_DECK.url} ${res.status}`);
+  } catch (e) {
+    const cached = 'caches' in window ? await caches.match(BUILTIN_DECK.url) : null;
+    if (cached) return cached;
+    throw e;
+  }
+};
+
+const readBuiltin = async () => {
+  const res = await fetchBuiltin();
+  const text = await res.text();
+  const parsed = parseWordFile(text, 'word.csv');
+  return { text, parsed, mapping: guessMapping(parsed.headers, parsed.rows) };
+};
+
+const loadBuiltin = async () => {
+  const { parsed, mapping } = await readBuiltin();
+  if (parsed.errors.length) console.warn('CSV parse warnings', parsed.errors);
+  return applyMapping(parsed.rows, mapping);
+};
+
+/*─────────────────────────────── 보정 */
+export const loadDeckFixes = (id) => loadGlobal(DECK_FIXES_KEY, {})[id] || {};
+export const saveDeckFixes = (id, fixes) => saveGlobal(DECK_FIXES_KEY, { ...loadGlobal(DECK_FIXES_KEY, {}), [id]: fixes });
+
+const applyDeckFixes = (id, words) => {
+  if (!loadDeckFixes(id).separators) return words;
+  const separator = dominantSeparator(words.map((w) => w.meaning));
+  return words.map((w) => ({ ...w, meaning: normalizeMeaning(w.meaning, separator) }));
+};
+
+export const loadDeckWords = async (id) => {
+  if (id === BUILTIN_DECK.id) return applyDeckFixes(id, await loadBuiltin());
+  const deck = await dbGet('decks', id);
+  if (!deck) throw new Error(`deck ${id} not found`);
+  return applyDeckFixes(id, deck.words);
+};
+
+/*─────────────────────────────── 품질 검사 (보정 전 원본 기준) */
+export const loadDeckReport = async (id) => {
+  if (id === BUILTIN_DECK.id) {
+    const { text, parsed, mapping } = await readBuiltin();
+    return buildQualityReport({
+      rows: parsed.rows,
+      mapping,
+      errors: parsed.errors,
+      lineOffset: parsed.hasHeader ? 2 : 1,
+      blankLines: countBlankLines(text),
+    });
+  }
+  const deck = await dbGet('decks', id);
+  if (!deck) throw new Error(`deck ${id} not found`);
+  return buildQualityReport({
+    rows: deck.words.map((w) => [w.term, w.meaning]),
+    mapping: { term: 0, meaning: 1 },
+  });
+};
+
+/*─────────────────────────────── 저장/삭제 */
+export const saveDeck = async ({ name, words }) => {
+  const deck = {
+    id: `deck-${Date.now()}`,
+    name,
+    words,
+    count: words.length,
+    createdAt: Date.now(),
+  };
+  await dbPut('decks', deck);
+  return deck;
+};
+
+export const deleteDeck = (id) => dbDelete('decks', id);
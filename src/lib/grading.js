@@ -0,0 +1,122 @@
+/**
+ * 타이핑 답안 채점
+ *   • 영어: 대소문자·하이픈·공백 무시, 짧은 오타(편집 거리)는 정답 처리,
+ *           표제어 일부만 쓰면 partial.
+ *   • 한글: 뜻을 `,` / `;` 로 나눠 어느 하나라도 맞으면 correct,
+ *           일부만 겹치면 partial.
+ *   • 오타 허용은 뜻이 뒤집히지 않는 선까지만 – 아래는 모두 wrong:
+ *     - 한글은 음절이 아니라 자모 하나 차이만 오타: 불가능한 ↔ 가능한, 부력이 없는 ↔ 부력이 있는
+ *     - 부정 접두사만 다른 답: possible ↔ impossible, legible ↔ illegible, moral ↔ amoral, typical ↔ atypical
+ *   • 결과: { verdict: 'correct' | 'partial' | 'wrong', matched, typo }
+ */
+const HANGUL = /[ㄱ-ㆎ가-힣]/;
+
+export const hasHangul = (text) => HANGUL.test(String(text));
+
+/*─────────────────────────────── 편집 거리 (Levenshtein) */
+export const editDistance = (a, b) => {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+};
+
+/*─────────────────────────────── 뜻 분리 */
+export const splitMeanings = (text) =>
+  String(text ?? '')
+    .split(/[,;]|\s+or\s+|\//)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const normalizeEnglish = (s) => s.toLowerCase().replace(/[\s\-‐–_.']/g, '');
+const normalizeKorean = (s) =>
+  s
+    .replace(/\([^)]*\)/g, '') // (여행), (몸) 같은 부연 설명
+    .replace(/[~\s.·]/g, '');
+
+const typoTolerance = (len) => (len <= 4 ? 0 : len <= 8 ? 1 : 2);
+
+/*─────────────────────────────── 한글 자모 분해 */
+// 가–힣 → 초성·중성·종성 (겹받침은 하나로) – 그 밖의 문자는 그대로
+const HANGUL_BASE = 0xac00;
+const HANGUL_LAST = 0xd7a3;
+export const toJamo = (text) =>
+  [...text]
+    .map((ch) => {
+      const code = ch.charCodeAt(0) - HANGUL_BASE;
+      if (code < 0 || code > HANGUL_LAST - HANGUL_BASE) return ch;
+      const final = code % 28;
+      return (
+        String.fromCharCode(0x1100 + Math.floor(code / 588), 0x1161 + Math.floor((code % 588) / 28)) +
+        (final ? String.fromCharCode(0x11a7 + final) : '')
+      );
+    })
+    .join('');
+
+/*─────────────────────────────── 부정 접두사 */
+// 한쪽이 다른 쪽 앞에 부정 접두사만 붙인 꼴이면 반대말
+const NEGATION_EN = /^(un|in|im|il|ir|a|dis|non)/;
+const NEGATION_KO = /^(불|부|비|무|미|몰)/;
+const isNegationPair = (a, b, prefix) => {
+  const [short, long] = a.length < b.length ? [a, b] : [b, a];
+  const m = long.match(prefix);
+  return Boolean(m) && long.slice(m[0].length) === short;
+};
+
+/*─────────────────────────────── 채점 */
+const RANK = { wrong: 0, partial: 1, typo: 2, correct: 3 };
+const WRONG = { verdict: 'wrong', matched: '', typo: false };
+
+// 답안 조각 × 정답 조각 중 가장 좋은 판정을 고름
+const bestMatch = (answers, expected, normalize, judge) => {
+  let best = WRONG;
+  let bestRank = 0;
+  answers.forEach((a) => {
+    const na = normalize(a);
+    expected.forEach((e) => {
+      const ne = normalize(e);
+      if (!na || !ne) return;
+      const kind = judge(na, ne);
+      if (RANK[kind] > bestRank) {
+        bestRank = RANK[kind];
+        best = { verdict: kind === 'typo' ? 'correct' : kind, matched: e, typo: kind === 'typo' };
+      }
+    });
+  });
+  return best;
+};
+
+const judgeEnglish = (na, ne) => {
+  if (na === ne) return 'correct';
+  if (isNegationPair(na, ne, NEGATION_EN)) return 'wrong';
+  if (editDistance(na, ne) <= typoTolerance(ne.length)) return 'typo';
+  if (na.length >= 4 && ne.includes(na)) return 'partial';
+  return 'wrong';
+};
+
+const judgeKorean = (na, ne) => {
+  if (na === ne) return 'correct';
+  if (isNegationPair(na, ne, NEGATION_KO)) return 'wrong';
+  if (ne.length >= 3 && editDistance(toJamo(na), toJamo(ne)) <= 1) return 'typo';
+  if (na.length >= 2 && (ne.includes(na) || na.includes(ne))) return 'partial';
+  return 'wrong';
+};
+
+export const gradeAnswer = (input, expectedText) => {
+  const answers = splitMeanings(input);
+  const expected = splitMeanings(expectedText);
+  if (!answers.length || !expected.length) return WRONG;
+  // 컬럼 이름 대신 실제 문자로 언어 판별
+  return hasHangul(expectedText)
+    ? bestMatch(answers, expected, normalizeKorean, judgeKorean)
+    : bestMatch(answers, expected, normalizeEnglish, judgeEnglish);
+};
+
+export const VERDICT_SCORE = { correct: 1, partial: 0.5, wrong: 0 };
@@ -0,0 +1,52 @@
+import { loadJSON, saveJSON } from './storage';
+import { getWordId, splitWord } from './words';
+import { shuffleArray } from './shuffle';
+
+/**
+ * 짝 맞추기 게임
+ *   • 라운드: 단어 N개(6–10) → 영어·한글 타일 2N개를 한 판에 섞어 배치.
+ *   • 타일: { key, wordId, side: 'en' | 'ko', text }
+ *   • 잘못 짝지은 두 단어는 누적 횟수를 세고(matchMisses), STAR_AFTER_MISSES 번이면 헷갈리는 단어로.
+ */
+export const MATCH_MISSES_KEY = 'matchMisses';
+export const ROUND_SIZES = [6, 8, 10];
+export const STAR_AFTER_MISSES = 3;
+
+export const buildRound = (words, size, rng = Math.random) => {
+  const seen = new Set();
+  const picked = shuffleArray(words, rng).filter((w) => {
+    const id = getWordId(w);
+    if (!id || seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+  const roundWords = picked.slice(0, size);
+  const tiles = roundWords.flatMap((word) => {
+    const wordId = getWordId(word);
+    const { english, korean } = splitWord(word);
+    return [
+      { key: `en:${wordId}`, wordId, side: 'en', text: english },
+      { key: `ko:${wordId}`, wordId, side: 'ko', text: korean },
+    ];
+  });
+  return { words: roundWords, tiles: shuffleArray(tiles, rng) };
+};
+
+// 뜻이 똑같은 단어끼리는 어느 쪽과 짝지어도 정답
+export const isPair = (a, b, meaningOf) => {
+  if (a.side === b.side) return false;
+  const [en, ko] = a.side === 'en' ? [a, b] : [b, a];
+  return en.wordId === ko.wordId || meaningOf(en.wordId) === ko.text;
+};
+
+// 틀린 횟수 누적 → 기준 이상인 단어 id 목록 (별표 중복은 호출 쪽에서 거름)
+export const recordMismatch = (wordIds) => {
+  const misses = loadJSON(MATCH_MISSES_KEY, {});
+  const reached = [];
+  wordIds.forEach((id) => {
+    misses[id] = (misses[id] || 0) + 1;
+    if (misses[id] >= STAR_AFTER_MISSES) reached.push(id);
+  });
+  saveJSON(MATCH_MISSES_KEY, misses);
+  return reached;
+};
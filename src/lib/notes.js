@@ -0,0 +1,29 @@
+import { loadJSON, saveJSON } from './storage';
+
+/**
+ * 개인 메모 / 암기법
+ *   • { [wordId]: { text, updatedAt } } – wordId 는 getWordId, 덱이 달라도 같은 단어면 공유.
+ *   • 빈 문자열로 저장하면 삭제 – 삭제 시각은 'wordNotesRemoved' { [wordId]: removedAt } 에 남김(백업 병합용).
+ */
+export const NOTES_KEY = 'wordNotes';
+export const NOTES_REMOVED_KEY = 'wordNotesRemoved';
+
+export const loadNotes = () => loadJSON(NOTES_KEY, {});
+export const loadNoteRemovals = () => loadJSON(NOTES_REMOVED_KEY, {});
+export const saveNoteRemovals = (removed) => saveJSON(NOTES_REMOVED_KEY, removed);
+
+export const setNote = (notes, wordId, text, now = Date.now()) => {
+  const next = { ...notes };
+  const removed = loadNoteRemovals();
+  const trimmed = text.trim();
+  if (trimmed) {
+    next[wordId] = { text: trimmed, updatedAt: now };
+    delete removed[wordId];
+  } else if (next[wordId]) {
+    delete next[wordId];
+    removed[wordId] = now;
+  }
+  saveJSON(NOTES_KEY, next);
+  saveNoteRemovals(removed);
+  return next;
+};
@@ -0,0 +1,167 @@
+import Papa from 'papaparse';
+import { hasHangul } from './grading';
+
+/**
+ * 단어장 파일 파서 (CSV / TSV / Anki·Quizlet 텍스트 내보내기)
+ *   • 구분자는 Anki `#separator:` 지시문 → 확장자 → PapaParse 추측 순.
+ *   • Anki `#columns:` 가 있으면 그걸 헤더로, 없으면 첫 행이 헤더처럼 보일 때만 헤더로 사용.
+ *   • 결과: { headers, rows(string[][]), hasHeader, errors }
+ */
+const ANKI_SEPARATORS = {
+  tab: '\t',
+  comma: ',',
+  semicolon: ';',
+  pipe: '|',
+  space: ' ',
+  colon: ':',
+};
+
+const HEADER_NAMES = {
+  term: /^(영어|단어|표제어|english|term|word|front|question)$/i,
+  meaning: /^(한글|한국어|뜻|의미|korean|meaning|definition|back|answer)$/i,
+  example: /^(예문|example|sentence|examples)$/i,
+  pos: /^(품사|pos|part of speech|partofspeech)$/i,
+  synonyms: /^(유의어|동의어|synonyms?|syn)$/i,
+  antonyms: /^(반의어|antonyms?|ant)$/i,
+  mnemonic: /^(암기법|연상|mnemonic|memory hook|hint)$/i,
+};
+
+export const MAPPING_FIELDS = [
+  { field: 'term', label: '단어 (표제어)', required: true },
+  { field: 'meaning', label: '뜻', required: true },
+  { field: 'example', label: '예문', required: false },
+  { field: 'pos', label: '품사', required: false },
+  { field: 'synonyms', label: '유의어', required: false },
+  { field: 'antonyms', label: '반의어', required: false },
+  { field: 'mnemonic', label: '암기법', required: false },
+];
+const OPTIONAL_FIELDS = MAPPING_FIELDS.filter((f) => !f.required).map((f) => f.field);
+
+const stripHtml = (s) =>
+  s
+    .replace(/<br\s*\/?>/gi, ', ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"');
+
+/*─────────────────────────────── Anki 지시문 (#key:value) */
+const readDirectives = (text) => {
+  const directives = {};
+  const lines = text.split(/\r?\n/);
+  let i = 0;
+  while (i < lines.length && lines[i].startsWith('#')) {
+    const m = lines[i].match(/^#([\w ]+):(.*)$/);
+    if (m) directives[m[1].trim().toLowerCase()] = m[2];
+    i += 1;
+  }
+  return { directives, body: lines.slice(i).join('\n') };
+};
+
+const looksLikeHeader = (row) =>
+  row.some((cell) => Object.values(HEADER_NAMES).some((re) => re.test(String(cell).trim())));
+
+export const parseWordFile = (text, fileName = '') => {
+  const { directives, body } = readDirectives(text.replace(/^\uFEFF/, ''));
+  const html = directives.html === 'true';
+
+  let delimiter = '';
+  if (directives.separator) {
+    const sep = directives.separator.trim().toLowerCase();
+    delimiter = ANKI_SEPARATORS[sep] ?? directives.separator;
+  } else if (/\.tsv$/i.test(fileName)) {
+    delimiter = '\t';
+  }
+
+  const { data, errors } = Papa.parse(body, {
+    delimiter,
+    skipEmptyLines: 'greedy',
+    delimitersToGuess: ['\t', ',', ';', '|'],
+  });
+
+  const rows = data.map((row) => row.map((cell) => (html ? stripHtml(cell) : cell).trim()));
+
+  let headers;
+  let hasHeader = false;
+  if (directives.columns) {
+    headers = directives.columns.split(delimiter || '\t').map((h) => h.trim());
+  } else if (rows.length && looksLikeHeader(rows[0])) {
+    headers = rows.shift();
+    hasHeader = true;
+  } else {
+    const width = Math.max(0, ...rows.map((r) => r.length));
+    headers = Array.from({ length: width }, (_, i) => `${i + 1}열`);
+  }
+
+  return { headers, rows, hasHeader, errors };
+};
+
+/*─────────────────────────────── 헤더 토글 (미리보기에서 사용자 선택) */
+export const toggleHeaderRow = (parsed) => {
+  if (parsed.hasHeader) {
+    const width = parsed.headers.length;
+    return {
+      ...parsed,
+      rows: [parsed.headers, ...parsed.rows],
+      headers: Array.from({ length: width }, (_, i) => `${i + 1}열`),
+      hasHeader: false,
+    };
+  }
+  const [first = [], ...rest] = parsed.rows;
+  return { ...parsed, headers: first, rows: rest, hasHeader: true };
+};
+
+/*─────────────────────────────── 컬럼 매핑 추측 */
+export const guessMapping = (headers, rows) => {
+  const mapping = Object.fromEntries(MAPPING_FIELDS.map(({ field }) => [field, -1]));
+  headers.forEach((h, i) => {
+    Object.entries(HEADER_NAMES).forEach(([field, re]) => {
+      if (mapping[field] === -1 && re.test(String(h).trim())) mapping[field] = i;
+    });
+  });
+
+  // 이름으로 못 찾으면 내용으로: 한글 비율이 높은 열 = 뜻
+  if (mapping.meaning === -1 || mapping.term === -1) {
+    const sample = rows.slice(0, 50);
+    const hangulRatio = headers.map(
+      (_, i) => sample.filter((r) => hasHangul(r[i] ?? '')).length / Math.max(sample.length, 1)
+    );
+    const used = new Set(Object.values(mapping).filter((i) => i >= 0));
+    if (mapping.meaning === -1) {
+      const best = hangulRatio
+        .map((ratio, i) => ({ ratio, i }))
+        .filter(({ i }) => !used.has(i))
+        .sort((a, b) => b.ratio - a.ratio)[0];
+      if (best && best.ratio > 0) {
+        mapping.meaning = best.i;
+        used.add(best.i);
+      }
+    }
+    if (mapping.term === -1) {
+      const free = headers.findIndex((_, i) => !used.has(i));
+      if (free >= 0) {
+        mapping.term = free;
+        used.add(free);
+      }
+    }
+    if (mapping.meaning === -1) mapping.meaning = headers.findIndex((_, i) => !used.has(i));
+  }
+  return mapping;
+};
+
+/*─────────────────────────────── 매핑 적용 → 단어 객체 */
+export const applyMapping = (rows, mapping) =>
+  rows
+    .map((row) => {
+      const word = {
+        term: row[mapping.term] ?? '',
+        meaning: row[mapping.meaning] ?? '',
+      };
+      OPTIONAL_FIELDS.forEach((field) => {
+        if (mapping[field] >= 0 && row[mapping[field]]) word[field] = row[mapping[field]];
+      });
+      return word;
+    })
+    .filter((w) => w.term && w.meaning);
@@ -0,0 +1,89 @@
+import { loadJSON, saveJSON } from './storage';
+import { dateKey } from './stats';
+
+/**
+ * 학습 계획
+ *   • plan: { type: 'fixed' | 'exam', wordsPerDay, examDate, startDate, reviewEvery, updatedAt }
+ *     - updatedAt: 사용자가 마지막으로 바꾼 시각(백업 병합용).
+ *     - fixed: 하루 wordsPerDay 개.
+ *     - exam : startDate ~ examDate 사이에 끝나도록 하루 분량을 계산.
+ *     - reviewEvery: N 일차마다 직전 N 일차를 섞은 복습일 삽입 (0 = 없음).
+ *   • schedule: { size, days: [{ kind: 'study' | 'review', chunks: [청크 번호] }] }
+ *     - 청크 = 단어 배열을 size 개씩 자른 묶음, 일차 번호 = days 인덱스 + 1.
+ */
+export const PLAN_KEY = 'studyPlan';
+export const DEFAULT_PLAN = {
+  type: 'fixed',
+  wordsPerDay: 100,
+  examDate: '',
+  startDate: '',
+  reviewEvery: 0,
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const loadPlan = () => ({ ...DEFAULT_PLAN, ...loadJSON(PLAN_KEY, {}) });
+export const savePlan = (plan) => saveJSON(PLAN_KEY, plan);
+
+/*─────────────────────────────── 하루 분량 */
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY);
+
+// buildSchedule 은 학습일 reviewEvery 개마다 복습일 하나 → 학습일 s 개면 s + floor(s / reviewEvery) 일.
+// 그 합이 total 이하인 가장 큰 s 로 나눠야 마지막 날이 시험일을 넘지 않음.
+//   예) 2600 단어, 31일, reviewEvery 3 → s = 23 (23 + 7 = 30일), 하루 114개
+const studyDaysWithin = (total, reviewEvery) => {
+  let s = total;
+  while (s > 1 && reviewEvery > 0 && s + Math.floor(s / reviewEvery) > total) s -= 1;
+  return s;
+};
+
+export const resolveDaySize = (plan, wordCount, now = Date.now()) => {
+  if (plan.type !== 'exam' || !plan.examDate) return Math.max(1, Number(plan.wordsPerDay) || 1);
+  const total = Math.max(1, daysBetween(plan.startDate || dateKey(now), plan.examDate));
+  return Math.max(1, Math.ceil(wordCount / studyDaysWithin(total, plan.reviewEvery)));
+};
+
+/*─────────────────────────────── 일정 */
+export const buildSchedule = (wordCount, plan, now = Date.now()) => {
+  const size = resolveDaySize(plan, wordCount, now);
+  const chunkCount = Math.ceil(wordCount / size);
+  const days = [];
+  let pending = [];
+  for (let c = 0; c < chunkCount; c += 1) {
+    days.push({ kind: 'study', chunks: [c] });
+    pending.push(c);
+    if (plan.reviewEvery > 0 && pending.length === plan.reviewEvery) {
+      days.push({ kind: 'review', chunks: pending });
+      pending = [];
+    }
+  }
+  return { size, days };
+};
+
+export const dayLabel = (schedule, day) => {
+  const entry = schedule.days[day - 1];
+  if (!entry || entry.kind === 'study') return `${day}일차`;
+  const first = studyDayOfChunk(schedule, entry.chunks[0]);
+  const last = studyDayOfChunk(schedule, entry.chunks[entry.chunks.length - 1]);
+  return `${day}일차 (복습 ${first}–${last}일차)`;
+};
+
+// 일차 범위(from~to) → 단어 인덱스 (중복 제거, 원래 순서)
+export const dayWordIndices = (schedule, from, to = from, wordCount = Infinity) => {
+  const chunks = new Set();
+  schedule.days.slice(from - 1, to).forEach((d) => d.chunks.forEach((c) => chunks.add(c)));
+  const indices = [];
+  [...chunks]
+    .sort((a, b) => a - b)
+    .forEach((c) => {
+      for (let i = c * schedule.size; i < Math.min((c + 1) * schedule.size, wordCount); i += 1) indices.push(i);
+    });
+  return indices;
+};
+
+// 청크가 처음 나오는 학습일 번호
+export const studyDayOfChunk = (schedule, chunk) =>
+  schedule.days.findIndex((d) => d.kind === 'study' && d.chunks[0] === chunk) + 1;
+
+export const studyDayOfIndex = (schedule, index) =>
+  studyDayOfChunk(schedule, Math.floor(index / schedule.size));
@@ -0,0 +1,100 @@
+import {
+  loadGlobal,
+  saveGlobal,
+  scopedKey,
+  setStorageNamespace,
+  withNamespace,
+  DEFAULT_NAMESPACE,
+} from './storage';
+import { dbDeleteWhere } from './db';
+import { eventProfile } from './stats';
+import { createBackup } from './backup';
+
+/**
+ * 프로필 (한 기기를 여러 명이 같이 쓸 때)
+ *   • 'profiles' (전역): { active, list: [{ id, name, createdAt }] }
+ *   • 프로필별 데이터는 storage 이름공간 `p:<id>:` 아래, 학습 기록·동기화 대기열은 profileId 로 구분.
+ *   • 가져온 단어장(decks)은 프로필 공용.
+ *   • 첫 실행 시 이름공간 없는 예전 키를 기본 프로필로 옮김.
+ */
+export const PROFILES_KEY = 'profiles';
+
+// 프로필 도입 전 전역으로 저장하던 키 – 새 키는 여기에 추가하지 않음
+const LEGACY_KEYS = [
+  'confusingWords',
+  'srsData',
+  'wordNotes',
+  'activeDeck',
+  'session',
+  'shuffleSeeds',
+  'studyPlan',
+  'speechSettings',
+];
+
+/*─────────────────────────────── 예전 데이터 이전 */
+const migrateLegacy = () => {
+  LEGACY_KEYS.forEach((key) => {
+    const value = localStorage.getItem(key);
+    if (value === null) return;
+    // activeDeck 은 JSON 이 아닌 id 문자열로 저장했었음
+    const json = key === 'activeDeck' ? JSON.stringify(value) : value;
+    localStorage.setItem(scopedKey(key, DEFAULT_NAMESPACE), json);
+    localStorage.removeItem(key);
+  });
+};
+
+/*─────────────────────────────── 초기화 (렌더 전에 한 번) */
+export const loadProfiles = () => loadGlobal(PROFILES_KEY, null);
+
+export const initProfiles = (now = Date.now()) => {
+  let state = loadProfiles();
+  if (!state?.list?.length) {
+    migrateLegacy();
+    state = { active: DEFAULT_NAMESPACE, list: [{ id: DEFAULT_NAMESPACE, name: '기본', createdAt: now }] };
+  }
+  if (!state.list.some((p) => p.id === state.active)) state = { ...state, active: state.list[0].id };
+  saveGlobal(PROFILES_KEY, state);
+  setStorageNamespace(state.active);
+  return state;
+};
+
+/*─────────────────────────────── 관리 */
+const update = (fn) => {
+  const next = fn(loadProfiles());
+  saveGlobal(PROFILES_KEY, next);
+  return next;
+};
+
+export const createProfile = (name, now = Date.now()) =>
+  update((state) => ({
+    ...state,
+    list: [...state.list, { id: `profile-${now}`, name: name.trim(), createdAt: now }],
+  }));
+
+export const renameProfile = (id, name) =>
+  update((state) => ({
+    ...state,
+    list: state.list.map((p) => (p.id === id ? { ...p, name: name.trim() } : p)),
+  }));
+
+// 전환 후에는 새로고침 – 앱 상태를 새 프로필 저장소에서 다시 읽음
+export const switchProfile = (id) => update((state) => ({ ...state, active: id }));
+
+export const deleteProfile = async (id) => {
+  const state = loadProfiles();
+  if (state.list.length <= 1) throw new Error('마지막 프로필은 삭제할 수 없습니다.');
+  const prefix = scopedKey('', id);
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(prefix))
+    .forEach((key) => localStorage.removeItem(key));
+  await dbDeleteWhere('events', (e) => eventProfile(e) === id);
+  await dbDeleteWhere('outbox', (e) => e.profileId === id);
+  const list = state.list.filter((p) => p.id !== id);
+  return update(() => ({ list, active: state.active === id ? list[0].id : state.active }));
+};
+
+// 프로필 하나의 백업(lib/backup 형식) – 다른 기기·프로필에서 가져오기 가능
+export const exportProfile = (id) => {
+  const profile = loadProfiles().list.find((p) => p.id === id);
+  return { ...withNamespace(id, () => createBackup()), profile: profile?.name ?? '' };
+};
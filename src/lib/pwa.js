@@ -0,0 +1,39 @@
+/**
+ * 서비스 워커 등록 (프로덕션 빌드에서만)
+ *   • onAppUpdate(apply): 새 버전 대기 중 – apply() 호출 시 교체 후 새로고침.
+ *   • onDeckUpdate(): 배포된 word.csv 가 캐시와 달라짐.
+ */
+export const registerServiceWorker = ({ onAppUpdate, onDeckUpdate }) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  let updateRequested = false;
+  const promptFor = (worker) =>
+    onAppUpdate(() => {
+      updateRequested = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'DECK_UPDATED') onDeckUpdate();
+  });
+
+  // 첫 설치 때의 clients.claim() 은 무시 – 사용자가 업데이트를 누른 경우만 새로고침
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!updateRequested) return;
+    updateRequested = false;
+    window.location.reload();
+  });
+
+  navigator.serviceWorker
+    .register('/sw.js')
+    .then((reg) => {
+      if (reg.waiting && navigator.serviceWorker.controller) promptFor(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) promptFor(worker);
+        });
+      });
+    })
+    .catch((e) => console.error('service worker registration failed', e));
+};
@@ -0,0 +1,84 @@
+import { getWordId } from './words';
+import { hasHangul } from './grading';
+
+/**
+ * 단어장 품질 검사
+ *   • 입력: parseWordFile 결과 + 컬럼 매핑 (가져온 덱은 저장된 단어를 [term, meaning] 행으로).
+ *   • 검사: 중복 표제어 / 빈 열 / 뜻 구분자 혼용(, ;) / 깨진·보이지 않는 문자·열 뒤바뀜 의심 / 파싱 오류.
+ *   • line: 원본 파일 줄 번호(헤더 포함) – 저장된 덱은 n번째 단어.
+ *   • 구분자 정리는 불러올 때 적용(lib/decks) – 원본 파일은 건드리지 않음.
+ */
+const SEPARATORS = [',', ';'];
+const MOJIBAKE = /[\u00C2-\u00EF][\u0080-\u00BF\u0152\u0153\u0160\u0161\u0178\u017D\u017E\u02C6\u02DC\u2013-\u203A\u20AC]/;
+
+// 탭·줄바꿈을 뺀 제어 문자, 폭 없는 공백, BOM
+const isInvisible = (code) =>
+  (code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0d) ||
+  (code >= 0x200b && code <= 0x200d) ||
+  code === 0xfeff;
+const hasInvisible = (text) => [...text].some((ch) => isInvisible(ch.charCodeAt(0)));
+
+/*─────────────────────────────── 뜻 구분자 */
+const separatorsIn = (meaning) => SEPARATORS.filter((sep) => meaning.includes(sep));
+
+// 덱에서 가장 많이 쓰인 구분자 (같으면 쉼표)
+export const dominantSeparator = (meanings) => {
+  const counts = Object.fromEntries(SEPARATORS.map((sep) => [sep, 0]));
+  meanings.forEach((m) => separatorsIn(m).forEach((sep) => (counts[sep] += 1)));
+  return SEPARATORS.reduce((best, sep) => (counts[sep] > counts[best] ? sep : best), SEPARATORS[0]);
+};
+
+export const normalizeMeaning = (meaning, separator = ',') =>
+  String(meaning)
+    .split(/\s*[,;]\s*/)
+    .filter(Boolean)
+    .join(`${separator} `);
+
+/*─────────────────────────────── 의심스러운 값 */
+const suspicionOf = (term, meaning) => {
+  const text = `${term}\t${meaning}`;
+  if (text.includes('\uFFFD')) return '깨진 문자(\uFFFD) – 파일 인코딩 확인';
+  if (MOJIBAKE.test(text)) return 'UTF-8 이 다른 인코딩으로 읽힌 듯한 문자';
+  if (hasInvisible(text)) return '보이지 않는 제어 문자';
+  if (hasHangul(term) && !hasHangul(meaning)) return '단어/뜻 열이 뒤바뀐 듯함';
+  return '';
+};
+
+/*─────────────────────────────── 보고서 */
+export const buildQualityReport = ({ rows, mapping, errors = [], lineOffset = 1, blankLines = 0 }) => {
+  const entries = rows.map((row, i) => ({
+    line: i + lineOffset,
+    term: String(row[mapping.term] ?? '').trim(),
+    meaning: String(row[mapping.meaning] ?? '').trim(),
+  }));
+  const complete = entries.filter((e) => e.term && e.meaning);
+  const separator = dominantSeparator(complete.map((e) => e.meaning));
+
+  const byId = new Map();
+  complete.forEach((e) => {
+    const id = getWordId(e);
+    if (!byId.has(id)) byId.set(id, []);
+    byId.get(id).push(e);
+  });
+
+  const issues = {
+    duplicates: [...byId.values()]
+      .filter((list) => list.length > 1)
+      .map((list) => ({ term: list[0].term, lines: list.map((e) => e.line), meanings: list.map((e) => e.meaning) })),
+    missing: entries.filter((e) => !e.term || !e.meaning),
+    mixedDelimiters: complete.filter((e) => {
+      const used = separatorsIn(e.meaning);
+      return used.length > 1 || (used.length === 1 && used[0] !== separator);
+    }),
+    suspicious: entries
+      .map((e) => ({ ...e, reason: suspicionOf(e.term, e.meaning) }))
+      .filter((e) => e.reason),
+    parseErrors: errors.map((e) => ({ line: (e.row ?? 0) + 1, message: e.message })),
+  };
+  const issueCount = Object.values(issues).reduce((sum, list) => sum + list.length, 0);
+  return { total: rows.length, usable: complete.length, separator, blankLines, issues, issueCount };
+};
+
+// 원본 텍스트에서 건너뛴 빈 줄 (파일 끝 줄바꿈 제외)
+export const countBlankLines = (text) =>
+  text.replace(/\s+$/, '').split(/\r?\n/).filter((line) => !line.trim()).length;
@@ -0,0 +1,44 @@
+import { hasHangul } from './grading';
+import { splitWord } from './words';
+
+/**
+ * 전체 단어 검색
+ *   • 영어: 표제어 일치 → 접두어 → 부분 일치 순으로 정렬.
+ *   • 한글: 뜻 부분 일치 (공백 무시).
+ *   • 색인은 덱이 바뀔 때 한 번만 만들고, 검색은 선형 스캔 (수천 개 규모라 충분히 빠름).
+ */
+const MAX_RESULTS = 30;
+
+const normEnglish = (s) => String(s).toLowerCase().replace(/[\s\-‐–]/g, '');
+const normKorean = (s) => String(s).replace(/\s/g, '');
+
+export const buildSearchIndex = (words) =>
+  words.map((word, idx) => {
+    const { english, korean } = splitWord(word);
+    return { idx, word, term: normEnglish(english), meaning: normKorean(korean) };
+  });
+
+export const searchWords = (index, query, limit = MAX_RESULTS) => {
+  const q = query.trim();
+  if (!q) return [];
+
+  const results = [];
+  if (hasHangul(q)) {
+    const nq = normKorean(q);
+    index.forEach((e) => {
+      const pos = e.meaning.indexOf(nq);
+      if (pos >= 0) results.push({ ...e, rank: pos });
+    });
+  } else {
+    const nq = normEnglish(q);
+    if (!nq) return [];
+    index.forEach((e) => {
+      if (e.term === nq) results.push({ ...e, rank: 0 });
+      else if (e.term.startsWith(nq)) results.push({ ...e, rank: 1 });
+      else if (e.term.includes(nq)) results.push({ ...e, rank: 2 });
+    });
+  }
+  return results
+    .sort((a, b) => a.rank - b.rank || a.term.length - b.term.length || a.idx - b.idx)
+    .slice(0, limit);
+};
@@ -0,0 +1,58 @@
+import { loadJSON, saveJSON } from './storage';
+
+/**
+ * 학습 세션 저장
+ *   • session: { currentDay, currentIndex, mode, viewMode, source } – 새로고침 후 이어하기.
+ *   • shuffleSeeds: { `${deckId}:${day}`: seed } – 일차별 카드 순서.
+ *   • 공유 링크: ?day=3&seed=123&deck=builtin&size=100 → 해당 일차를 같은 순서로 열기.
+ *     - 일차 번호는 단어장·하루 분량에 따라 다른 단어를 가리키므로 둘 다 담음.
+ *     - 단어장이 다르면 열지 않음(shared.refused). 하루 분량은 단어 수를 알아야 정해지므로 로드 뒤 App 이 비교해 경고.
+ *     - deck·size 가 없는 예전 링크는 확인 없이 열기.
+ */
+export const SESSION_KEY = 'session';
+export const SEEDS_KEY = 'shuffleSeeds';
+
+export const loadSession = () => loadJSON(SESSION_KEY, {});
+export const saveSession = (session) => saveJSON(SESSION_KEY, session);
+
+export const loadSeeds = () => loadJSON(SEEDS_KEY, {});
+export const saveSeeds = (seeds) => saveJSON(SEEDS_KEY, seeds);
+export const seedKey = (deckId, day) => `${deckId}:${day}`;
+
+/*─────────────────────────────── 공유 링크 */
+export const readSharedOrder = () => {
+  const params = new URLSearchParams(window.location.search);
+  const day = Number(params.get('day'));
+  const seed = Number(params.get('seed'));
+  if (!Number.isInteger(day) || day < 1 || !params.get('seed') || !Number.isInteger(seed)) return null;
+  const size = Number(params.get('size'));
+  return {
+    day,
+    seed: seed >>> 0,
+    deckId: params.get('deck'),
+    size: Number.isInteger(size) && size > 0 ? size : null,
+  };
+};
+
+export const clearSharedOrder = () => {
+  window.history.replaceState(null, '', window.location.pathname);
+};
+
+export const shareUrl = (day, seed, deckId, size) => {
+  const params = new URLSearchParams({ day, seed, deck: deckId, size });
+  return `${window.location.origin}${window.location.pathname}?${params}`;
+};
+
+/*─────────────────────────────── 초기 상태 (공유 링크 우선) */
+export const restoreSession = (deckId) => {
+  const session = loadSession();
+  const seeds = loadSeeds();
+  const shared = readSharedOrder();
+  if (!shared) return { session, seeds, shared };
+  if (shared.deckId && shared.deckId !== deckId) return { session, seeds, shared: { ...shared, refused: true } };
+  return {
+    session: { ...session, currentDay: shared.day, currentIndex: 0, source: 'day' },
+    seeds: { ...seeds, [seedKey(deckId, shared.day)]: shared.seed },
+    shared,
+  };
+};
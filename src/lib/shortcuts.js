@@ -0,0 +1,28 @@
+/**
+ * 키보드 단축키
+ *   • 입력창·셀렉트에 포커스가 있거나 Ctrl/Alt/Meta 조합이면 무시.
+ *   • SHORTCUTS 는 `?` 도움말 오버레이 표시용.
+ */
+export const SHORTCUTS = [
+  { keys: ['←', '→'], description: '이전 / 다음 카드' },
+  { keys: ['Space'], description: '카드 뒤집기' },
+  { keys: ['1', '2', '3', '4'], description: 'Again / Hard / Good / Easy 채점 (뒤집은 뒤)' },
+  { keys: ['S'], description: '헷갈리는 단어에 추가' },
+  { keys: ['L'], description: '카드 ↔ 외우기 모드 전환' },
+  { keys: ['?'], description: '단축키 도움말' },
+  { keys: ['Esc'], description: '도움말 닫기' },
+];
+
+export const GRADE_KEYS = { 1: 'again', 2: 'hard', 3: 'good', 4: 'easy' };
+
+export const shouldIgnoreKey = (e) => {
+  if (e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey) return true;
+  const el = e.target;
+  if (!el || !el.tagName) return false;
+  return el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName);
+};
+
+// Space/Enter 는 포커스된 버튼이 스스로 클릭 처리 → 전역 단축키와 중복 방지
+export const isActivationOnButton = (e) =>
+  (e.key === ' ' || e.key === 'Enter') &&
+  Boolean(e.target?.closest?.('button, [role="button"], a[href]'));
@@ -0,0 +1,39 @@
+/**
+ * 셔플 & 시드 PRNG
+ *   • 일차별 카드 순서는 시드(32bit 정수)로 재현 → 새로고침·공유해도 같은 순서.
+ */
+
+/*─────────────────────────────── PRNG (mulberry32) */
+export const mulberry32 = (seed) => {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// 문자열 → 32bit 시드 (FNV-1a)
+export const hashSeed = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i += 1) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+/*─────────────────────────────── Fisher‑Yates */
+export const shuffleArray = (arr, rng = Math.random) => {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
+
+export const pickRandom = (arr) => arr[Math.floor(Math.random() * arr.length)];
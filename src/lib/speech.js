@@ -0,0 +1,49 @@
+import { loadJSON, saveJSON } from './storage';
+import { hasHangul } from './grading';
+
+/**
+ * 발음 듣기 (Web Speech API)
+ *   • 언어는 텍스트로 판별: 한글이 있으면 ko-KR, 아니면 en-US.
+ *   • speak() 는 읽기가 끝나면(또는 취소·오류 시) resolve.
+ *   • 설정: { rate, pause(ms), autoAdvance, updatedAt } – localStorage 'speechSettings'. updatedAt 은 백업 병합용.
+ */
+export const SPEECH_SETTINGS_KEY = 'speechSettings';
+export const DEFAULT_SPEECH_SETTINGS = { rate: 1, pause: 1500, autoAdvance: true };
+
+export const loadSpeechSettings = () => ({
+  ...DEFAULT_SPEECH_SETTINGS,
+  ...loadJSON(SPEECH_SETTINGS_KEY, {}),
+});
+export const saveSpeechSettings = (settings) => saveJSON(SPEECH_SETTINGS_KEY, settings);
+
+export const isSpeechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+const pickVoice = (lang) => {
+  const voices = window.speechSynthesis.getVoices();
+  return (
+    voices.find((v) => v.lang === lang) ||
+    voices.find((v) => v.lang.replace('_', '-').startsWith(lang.slice(0, 2))) ||
+    null
+  );
+};
+
+export const speak = (text, { rate = 1 } = {}) =>
+  new Promise((resolve) => {
+    if (!isSpeechSupported() || !text) {
+      resolve();
+      return;
+    }
+    const lang = hasHangul(text) ? 'ko-KR' : 'en-US';
+    const utterance = new SpeechSynthesisUtterance(String(text));
+    utterance.lang = lang;
+    utterance.rate = rate;
+    const voice = pickVoice(lang);
+    if (voice) utterance.voice = voice;
+    utterance.onend = () => resolve();
+    utterance.onerror = () => resolve();
+    window.speechSynthesis.speak(utterance);
+  });
+
+export const cancelSpeech = () => {
+  if (isSpeechSupported()) window.speechSynthesis.cancel();
+};
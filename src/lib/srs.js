@@ -0,0 +1,91 @@
+import { loadJSON, saveJSON } from './storage';
+
+/**
+ * SM-2 기반 간격 반복(SRS) 스케줄러
+ *   • 단어별 { ease, interval(일), reps, lapses, due(ms), lastReviewed(ms) } 를 보관.
+ *   • 등급: again / hard / good / easy (Anki 방식 4단계).
+ *   • again 은 10분 뒤 다시 노출, 나머지는 일 단위 간격.
+ */
+export const SRS_STORAGE_KEY = 'srsData';
+export const GRADES = ['again', 'hard', 'good', 'easy'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const RELEARN_DELAY = 10 * MINUTE;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/*─────────────────────────────── 저장소 */
+export const loadSrs = () => loadJSON(SRS_STORAGE_KEY, {});
+export const saveSrs = (data) => saveJSON(SRS_STORAGE_KEY, data);
+
+export const newCard = () => ({
+  ease: DEFAULT_EASE,
+  interval: 0,
+  reps: 0,
+  lapses: 0,
+  due: 0,
+  lastReviewed: 0,
+});
+
+/*─────────────────────────────── 스케줄링 */
+export const scheduleCard = (card = newCard(), grade, now = Date.now()) => {
+  const c = { ...newCard(), ...card, lastReviewed: now };
+
+  if (grade === 'again') {
+    return {
+      ...c,
+      ease: Math.max(MIN_EASE, c.ease - 0.2),
+      interval: 0,
+      reps: 0,
+      lapses: c.lapses + (c.reps > 0 ? 1 : 0),
+      due: now + RELEARN_DELAY,
+    };
+  }
+
+  let interval;
+  let ease = c.ease;
+  if (grade === 'hard') {
+    interval = Math.max(1, Math.round(c.interval * 1.2));
+    ease = Math.max(MIN_EASE, ease - 0.15);
+  } else {
+    if (c.reps === 0) interval = 1;
+    else if (c.reps === 1) interval = 6;
+    else interval = Math.round(c.interval * ease);
+    if (grade === 'easy') {
+      interval = Math.max(interval + 1, Math.round(interval * 1.3));
+      ease += 0.15;
+    }
+  }
+
+  return { ...c, ease, interval, reps: c.reps + 1, due: now + interval * DAY };
+};
+
+/*─────────────────────────────── 복습 대상 */
+const endOfToday = (now) => {
+  const d = new Date(now);
+  d.setHours(24, 0, 0, 0);
+  return d.getTime();
+};
+
+export const isDueToday = (card, now = Date.now()) =>
+  Boolean(card && card.lastReviewed && card.due < endOfToday(now));
+
+/*─────────────────────────────── 표시용 */
+export const formatInterval = (ms) => {
+  if (ms < DAY) return `${Math.max(1, Math.round(ms / MINUTE))}분`;
+  const days = Math.round(ms / DAY);
+  if (days < 30) return `${days}일`;
+  if (days < 365) return `${Math.round(days / 30)}개월`;
+  return `${(days / 365).toFixed(1)}년`;
+};
+
+export const previewIntervals = (card, now = Date.now()) =>
+  GRADES.reduce((acc, g) => {
+    acc[g] = formatInterval(scheduleCard(card, g, now).due - now);
+    return acc;
+  }, {});
+
+// 간격이 3주 이상이면 '외운 단어'로 취급 (Anki 의 mature 기준)
+export const MASTERED_INTERVAL = 21;
+export const isMastered = (card) => Boolean(card && card.interval >= MASTERED_INTERVAL);
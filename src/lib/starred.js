@@ -0,0 +1,32 @@
+import { loadJSON, saveJSON } from './storage';
+import { normalizeWord, getWordId } from './words';
+
+/**
+ * 헷갈리는 단어(별표)
+ *   • localStorage 'confusingWords' – 단어 객체 배열, 추가 순서 유지.
+ *   • 각 항목에 starredAt(ms) – 백업 병합 시 최신 판단용. 예전 데이터는 0.
+ *   • 해제 기록 'starredRemoved' { [wordId]: removedAt } – 예전 백업을 가져와도 해제한 단어가 되살아나지 않게.
+ *     다시 별표하면 그 단어의 해제 기록은 지움.
+ */
+export const STARRED_KEY = 'confusingWords';
+export const STARRED_REMOVED_KEY = 'starredRemoved';
+
+export const loadStarred = () => {
+  const saved = loadJSON(STARRED_KEY, []);
+  return Array.isArray(saved) ? saved.map(normalizeWord).filter(Boolean) : [];
+};
+
+export const loadStarRemovals = () => loadJSON(STARRED_REMOVED_KEY, {});
+export const saveStarRemovals = (removed) => saveJSON(STARRED_REMOVED_KEY, removed);
+
+export const saveStarred = (words) => {
+  saveJSON(STARRED_KEY, words);
+  const removed = loadStarRemovals();
+  const restarred = words.map(getWordId).filter((id) => id in removed);
+  if (!restarred.length) return;
+  restarred.forEach((id) => delete removed[id]);
+  saveStarRemovals(removed);
+};
+
+export const recordStarRemoval = (wordId, now = Date.now()) =>
+  saveStarRemovals({ ...loadStarRemovals(), [wordId]: now });
@@ -0,0 +1,160 @@
+import { dbAdd, dbGetAll } from './db';
+import { getStorageNamespace, DEFAULT_NAMESPACE } from './storage';
+
+/**
+ * 학습 기록 & 통계
+ *   • 이벤트: { ts, type, profileId, deckId, wordId, day, mode, ...extra } 를 IndexedDB 'events' 에 누적.
+ *     - profileId 가 없는 예전 기록은 기본 프로필 것으로 봄.
+ *     - syncId 가 있으면 다른 기기에서 받아 온 기록(lib/sync) – 다시 보내지 않음.
+ *     - view: 카드 노출 / flip: 뒷면 확인 / grade: SRS 채점(grade) / answer: 퀴즈 답(quiz, correct)
+ *     - 시간 제한 챌린지 답은 latency(ms), slow(맞혔지만 느림)가 더 붙음.
+ *     - star: 헷갈리는 단어에 추가 – 약한 단어 점수용(lib/weak).
+ *   • summarize: 이벤트 배열 → 대시보드용 집계.
+ *     - 일차는 기록 당시 값 대신 현재 학습 계획의 wordDays(단어 → 일차)로 다시 매김.
+ */
+const IDLE_CAP = 2 * 60 * 1000; // 이벤트 간격이 이보다 길면 자리를 비운 것으로 봄
+const CALENDAR_WEEKS = 12;
+const PACE_DAYS = 14;
+const HARDEST_COUNT = 10;
+
+/*─────────────────────────────── 기록 */
+export const eventProfile = (e) => e.profileId ?? DEFAULT_NAMESPACE;
+
+// 다른 기기로는 lib/sync 가 events 스토어를 직접 읽어 보냄
+export const logEvent = (event) =>
+  dbAdd('events', { ts: Date.now(), profileId: getStorageNamespace(), ...event }).catch((e) =>
+    console.error('stats log error', e)
+  );
+
+export const loadEvents = async () => {
+  const profileId = getStorageNamespace();
+  return (await dbGetAll('events')).filter((e) => eventProfile(e) === profileId);
+};
+
+/*─────────────────────────────── 날짜 키 (로컬 기준) */
+const pad = (n) => String(n).padStart(2, '0');
+export const dateKey = (ts) => {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+const daysAgo = (now, n) => {
+  const d = new Date(now);
+  d.setDate(d.getDate() - n);
+  return d;
+};
+
+const isMiss = (e) =>
+  (e.type === 'grade' && e.grade === 'again') || (e.type === 'answer' && !e.correct);
+const isRecall = (e) =>
+  (e.type === 'grade' && e.grade !== 'again') || (e.type === 'answer' && e.correct);
+
+/*─────────────────────────────── 집계 */
+export const summarize = (allEvents, { deckId, dailyTarget, wordDays }, now = Date.now()) => {
+  const events = allEvents.filter((e) => e.deckId === deckId).sort((a, b) => a.ts - b.ts);
+
+  // 날짜별 활동량 & 본 단어
+  const activity = new Map();
+  const seenByDate = new Map();
+  events.forEach((e) => {
+    const key = dateKey(e.ts);
+    activity.set(key, (activity.get(key) || 0) + 1);
+    if (e.wordId) {
+      if (!seenByDate.has(key)) seenByDate.set(key, new Set());
+      seenByDate.get(key).add(e.wordId);
+    }
+  });
+
+  // 연속 학습일: 오늘 기록이 없으면 어제부터 셈
+  let streak = 0;
+  let offset = activity.has(dateKey(now)) ? 0 : 1;
+  while (activity.has(dateKey(daysAgo(now, offset)))) {
+    streak += 1;
+    offset += 1;
+  }
+
+  // 달력: 일요일 시작, 최근 N주
+  const today = new Date(now);
+  const totalCells = CALENDAR_WEEKS * 7 - (6 - today.getDay());
+  const calendar = Array.from({ length: totalCells }, (_, i) => {
+    const key = dateKey(daysAgo(now, totalCells - 1 - i));
+    return { date: key, count: activity.get(key) || 0 };
+  });
+
+  // 매일 목표 페이스
+  const pace = Array.from({ length: PACE_DAYS }, (_, i) => {
+    const key = dateKey(daysAgo(now, PACE_DAYS - 1 - i));
+    return { date: key, words: seenByDate.get(key)?.size || 0 };
+  });
+  const activeDays = pace.filter((p) => p.words > 0);
+  const paceHolding = activeDays.filter((p) => p.words >= dailyTarget).length;
+
+  // 학습 시간: 이벤트 간격 합 (IDLE_CAP 으로 자름)
+  let totalTime = 0;
+  let todayTime = 0;
+  const todayKey = dateKey(now);
+  for (let i = 1; i < events.length; i += 1) {
+    const gap = Math.min(events[i].ts - events[i - 1].ts, IDLE_CAP);
+    totalTime += gap;
+    if (dateKey(events[i].ts) === todayKey) todayTime += gap;
+  }
+
+  // 일차별 외운 단어 / 방향별 정확도 / 어려운 단어 / 느린 단어
+  const learnedByDay = new Map();
+  const accuracy = { 'ko-to-en': { correct: 0, total: 0 }, 'en-to-ko': { correct: 0, total: 0 } };
+  const perWord = new Map();
+  events.forEach((e) => {
+    if (e.type !== 'grade' && e.type !== 'answer') return;
+    const miss = isMiss(e);
+    const day = wordDays?.get(e.wordId) ?? e.day;
+    if (isRecall(e) && day) {
+      if (!learnedByDay.has(day)) learnedByDay.set(day, new Set());
+      learnedByDay.get(day).add(e.wordId);
+    }
+    if (accuracy[e.mode]) {
+      accuracy[e.mode].total += 1;
+      if (!miss) accuracy[e.mode].correct += 1;
+    }
+    const w = perWord.get(e.wordId) || { wordId: e.wordId, attempts: 0, misses: 0, slow: 0, latencies: [] };
+    w.attempts += 1;
+    if (miss) w.misses += 1;
+    if (e.slow) w.slow += 1;
+    if (e.correct && e.latency) w.latencies.push(e.latency);
+    perWord.set(e.wordId, w);
+  });
+
+  const hardest = [...perWord.values()]
+    .filter((w) => w.misses > 0)
+    .sort((a, b) => b.misses - a.misses || b.misses / b.attempts - a.misses / a.attempts)
+    .slice(0, HARDEST_COUNT);
+
+  const slowest = [...perWord.values()]
+    .filter((w) => w.slow > 0)
+    .map(({ wordId, slow, latencies }) => ({
+      wordId,
+      slow,
+      avgLatency: latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length,
+    }))
+    .sort((a, b) => b.slow - a.slow || b.avgLatency - a.avgLatency)
+    .slice(0, HARDEST_COUNT);
+
+  return {
+    streak,
+    calendar,
+    pace,
+    paceHolding,
+    paceActiveDays: activeDays.length,
+    totalTime,
+    todayTime,
+    todayWords: seenByDate.get(todayKey)?.size || 0,
+    learnedByDay: Object.fromEntries([...learnedByDay].map(([day, set]) => [day, set.size])),
+    accuracy,
+    hardest,
+    slowest,
+  };
+};
+
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}분`;
+  return `${Math.floor(minutes / 60)}시간 ${minutes % 60}분`;
+};
@@ -0,0 +1,44 @@
+/**
+ * localStorage JSON 헬퍼
+ *   • 파싱 실패 시 fallback 을 돌려주고 콘솔에만 남김.
+ *   • 모든 키는 현재 프로필 이름공간(`p:<프로필 id>:<키>`) 아래에 저장 – lib/profiles 가 설정.
+ *   • 프로필 목록처럼 기기 전체에 하나인 값은 loadGlobal/saveGlobal.
+ */
+export const DEFAULT_NAMESPACE = 'default';
+let namespace = DEFAULT_NAMESPACE;
+
+export const setStorageNamespace = (id) => {
+  namespace = id;
+};
+export const getStorageNamespace = () => namespace;
+export const scopedKey = (key, id = namespace) => `p:${id}:${key}`;
+
+const parse = (key, saved, fallback) => {
+  if (saved === null) return fallback;
+  try {
+    return JSON.parse(saved);
+  } catch (e) {
+    console.error(`${key} JSON error`, e);
+    return fallback;
+  }
+};
+
+export const loadJSON = (key, fallback) => parse(key, localStorage.getItem(scopedKey(key)), fallback);
+
+export const saveJSON = (key, value) => {
+  localStorage.setItem(scopedKey(key), JSON.stringify(value));
+};
+
+export const loadGlobal = (key, fallback) => parse(key, localStorage.getItem(key), fallback);
+export const saveGlobal = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+// 잠깐 다른 프로필의 저장소를 읽을 때 (프로필 내보내기 등) – 동기 함수만
+export const withNamespace = (id, fn) => {
+  const prev = namespace;
+  namespace = id;
+  try {
+    return fn();
+  } finally {
+    namespace = prev;
+  }
+};
@@ -0,0 +1,232 @@
+import { loadJSON, saveJSON, getStorageNamespace } from './storage';
+import { loadStarred, saveStarred, loadStarRemovals, saveStarRemovals } from './starred';
+import { loadNotes, NOTES_KEY, loadNoteRemovals, saveNoteRemovals } from './notes';
+import { loadSrs, saveSrs } from './srs';
+import { dbAdd, dbGetAll, dbGetAfter, dbPut, dbDeleteWhere } from './db';
+import { eventProfile } from './stats';
+import { getWordId } from './words';
+
+/**
+ * 기기 간 동기화 (변경 로그 방식)
+ *   • 변경: { id, ts, device, kind, wordId, value }
+ *     - kind: 'star'(value=단어) | 'unstar' | 'srs'(value=카드) | 'note'(value=메모|null) | 'event'(value=학습 기록)
+ *   • 보낼 변경은 IndexedDB 에 쌓였다가 push, 다른 기기 변경은 pull 해서 적용 → 오프라인이어도 그대로 동작.
+ *     - 별표·SRS·메모: 'outbox' 스토어에 단어·종류별 최신 하나만(put) → 오래 오프라인이어도 단어 수 이상 늘지 않음.
+ *       동기화가 꺼져 있어도 쌓아 두므로 다시 켜면 그동안의 변경도 나감.
+ *     - 학습 기록: 따로 담지 않고 'events' 스토어를 eventCursor(자동 증가 id) 다음부터 읽어 보냄.
+ *     - push 는 PUSH_BATCH 개씩, 보낸 만큼 지우고 커서를 옮김 → 중간에 끊겨도 이어서.
+ *   • 충돌: `${kind 묶음}:${wordId}` 마다 마지막 ts 를 기억(clock)하고 더 최근 변경만 적용 (last-writer-wins).
+ *     event 는 덧붙이기만 하므로 충돌 없음.
+ *   • 어댑터: { push(changes) → Promise, pull(cursor) → Promise<{ changes, cursor }> } – REST 구현은 createRestAdapter.
+ *   • 상태(profile 별): syncSettings { enabled, url, space }, syncState { deviceId, cursor, eventCursor, clock, lastSyncedAt }
+ *   • 켤 때마다 clock 보다 새로운 별표·SRS·메모를 원래 시각 그대로 outbox 에 넣음(seedOutbox).
+ */
+export const SYNC_SETTINGS_KEY = 'syncSettings';
+export const SYNC_STATE_KEY = 'syncState';
+export const DEFAULT_SYNC_SETTINGS = { enabled: false, url: 'http://localhost:8787', space: '' };
+export const SYNC_INTERVAL = 30 * 1000;
+const PUSH_BATCH = 200;
+const OUTBOX = 'outbox';
+
+const randomId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export const loadSyncSettings = () => ({ ...DEFAULT_SYNC_SETTINGS, ...loadJSON(SYNC_SETTINGS_KEY, {}) });
+export const saveSyncSettings = (settings) => saveJSON(SYNC_SETTINGS_KEY, settings);
+
+const loadState = () => {
+  const state = { cursor: 0, eventCursor: 0, clock: {}, lastSyncedAt: 0, ...loadJSON(SYNC_STATE_KEY, {}) };
+  if (!state.deviceId) {
+    state.deviceId = randomId();
+    saveJSON(SYNC_STATE_KEY, state);
+  }
+  return state;
+};
+// 읽는 사이 다른 곳에서 바꿨을 수 있으므로 항상 최신 상태에 덮어씀
+const updateState = (patch) => {
+  const latest = loadState();
+  saveJSON(SYNC_STATE_KEY, { ...latest, ...patch(latest) });
+};
+
+// star/unstar 는 같은 값(별표 여부)을 두고 경쟁
+const clockKey = (kind, wordId) => `${kind === 'unstar' ? 'star' : kind}:${wordId}`;
+const outboxKey = (kind, wordId) => `${getStorageNamespace()}|${clockKey(kind, wordId)}`;
+
+const mergeClock = (a, b) => {
+  const merged = { ...a };
+  Object.entries(b).forEach(([key, ts]) => {
+    merged[key] = Math.max(merged[key] ?? 0, ts);
+  });
+  return merged;
+};
+
+/*─────────────────────────────── 보낼 변경 */
+const loadOutbox = async () => {
+  const profileId = getStorageNamespace();
+  return (await dbGetAll(OUTBOX)).filter((e) => e.profileId === profileId);
+};
+const loadUnsentEvents = async (after, count) => {
+  const batch = await dbGetAfter('events', after, count);
+  const profileId = getStorageNamespace();
+  return { batch, mine: batch.filter((e) => eventProfile(e) === profileId && !e.syncId) };
+};
+
+export const syncStatus = async () => {
+  const { eventCursor, lastSyncedAt } = loadState();
+  const [outbox, { mine }] = await Promise.all([loadOutbox(), loadUnsentEvents(eventCursor)]);
+  return { pending: outbox.length + mine.length, lastSyncedAt };
+};
+
+/*─────────────────────────────── 로컬 변경 기록 */
+// 화면 동작(뒤집기·채점) 중에 불리므로 저장 실패가 밖으로 새지 않게
+export const recordChange = (kind, wordId, value = null, now = Date.now()) => {
+  let deviceId = '';
+  try {
+    deviceId = loadState().deviceId;
+    updateState(({ clock }) => ({ clock: mergeClock(clock, { [clockKey(kind, wordId)]: now }) }));
+  } catch (e) {
+    console.error('sync clock error', e);
+  }
+  const change = { id: randomId(), ts: now, device: deviceId, kind, wordId, value };
+  return dbPut(OUTBOX, { key: outboxKey(kind, wordId), profileId: getStorageNamespace(), change }).catch((e) =>
+    console.error('sync outbox error', e)
+  );
+};
+
+// 켤 때마다: clock 에 없거나 clock 보다 새로운 로컬 데이터를 원래 시각으로 (동기화 전부터 있던 데이터 포함)
+export const seedOutbox = async () => {
+  const { clock } = loadState();
+  const seed = (kind, wordId, value, ts) => {
+    if ((clock[clockKey(kind, wordId)] ?? -1) >= ts) return null;
+    return recordChange(kind, wordId, value, ts);
+  };
+  await Promise.all([
+    ...loadStarred().map((w) => seed('star', getWordId(w), w, w.starredAt ?? 0)),
+    ...Object.entries(loadSrs()).map(([id, card]) => seed('srs', id, card, card.lastReviewed ?? 0)),
+    ...Object.entries(loadNotes()).map(([id, note]) => seed('note', id, note, note.updatedAt ?? 0)),
+  ]);
+};
+
+/*─────────────────────────────── 원격 변경 적용 */
+// localStorage 쪽은 await 없이 한 번에 (사이에 끼어든 로컬 변경을 덮어쓰지 않도록), 기록은 그다음
+const applyChanges = async (changes, clock) => {
+  let starred = loadStarred();
+  const srs = loadSrs();
+  const notes = loadNotes();
+  const starRemovals = loadStarRemovals();
+  const noteRemovals = loadNoteRemovals();
+  const touched = new Set();
+
+  changes.forEach((c) => {
+    if (c.kind === 'event') return;
+    const key = clockKey(c.kind, c.wordId);
+    if ((clock[key] ?? -1) >= c.ts) return; // 예전 데이터는 ts 0
+    clock[key] = c.ts;
+    if (c.kind === 'star') {
+      starred = [...starred.filter((w) => getWordId(w) !== c.wordId), { ...c.value, starredAt: c.ts }];
+      touched.add('starred');
+    } else if (c.kind === 'unstar') {
+      starred = starred.filter((w) => getWordId(w) !== c.wordId);
+      starRemovals[c.wordId] = c.ts;
+      touched.add('starred');
+    } else if (c.kind === 'srs') {
+      srs[c.wordId] = c.value;
+      touched.add('srs');
+    } else if (c.kind === 'note') {
+      if (c.value) {
+        notes[c.wordId] = c.value;
+        delete noteRemovals[c.wordId];
+      } else {
+        delete notes[c.wordId];
+        noteRemovals[c.wordId] = c.ts;
+      }
+      touched.add('notes');
+    }
+  });
+  if (touched.has('starred')) {
+    saveStarRemovals(starRemovals);
+    saveStarred(starred); // 다시 별표된 단어의 해제 기록은 여기서 지워짐
+  }
+  if (touched.has('srs')) saveSrs(srs);
+  if (touched.has('notes')) {
+    saveJSON(NOTES_KEY, notes);
+    saveNoteRemovals(noteRemovals);
+  }
+
+  // syncId: 받아 온 기록 표시 → 다시 보내지 않음
+  const events = changes.filter((c) => c.kind === 'event');
+  for (const c of events) await dbAdd('events', { ...c.value, profileId: getStorageNamespace(), syncId: c.id });
+  return touched.size > 0 || events.length > 0;
+};
+
+/*─────────────────────────────── push (나눠서) */
+const pushOutbox = async (adapter) => {
+  const pending = await loadOutbox();
+  for (let i = 0; i < pending.length; i += PUSH_BATCH) {
+    const batch = pending.slice(i, i + PUSH_BATCH).map((e) => e.change);
+    await adapter.push(batch);
+    // 보내는 사이 같은 단어가 다시 바뀌었으면(id 가 다름) 남겨 둠
+    const sent = new Set(batch.map((c) => c.id));
+    await dbDeleteWhere(OUTBOX, (e) => sent.has(e.change.id));
+  }
+  return pending.length;
+};
+
+// 로컬 자동 증가 id 는 기기마다 겹치므로 deviceId 를 붙여 변경 id 로
+const eventChange = (e, deviceId) => ({
+  id: `${deviceId}:${e.id}`,
+  ts: e.ts,
+  device: deviceId,
+  kind: 'event',
+  wordId: e.wordId,
+  value: { ...e, id: undefined, profileId: undefined },
+});
+
+const pushEvents = async (adapter, deviceId) => {
+  let pushed = 0;
+  for (;;) {
+    const { batch, mine } = await loadUnsentEvents(loadState().eventCursor, PUSH_BATCH);
+    if (!batch.length) return pushed;
+    if (mine.length) await adapter.push(mine.map((e) => eventChange(e, deviceId)));
+    pushed += mine.length;
+    updateState(() => ({ eventCursor: batch[batch.length - 1].id }));
+    if (batch.length < PUSH_BATCH) return pushed;
+  }
+};
+
+/*─────────────────────────────── 동기화 한 번 (push → pull) */
+export const syncNow = async (adapter) => {
+  const { deviceId } = loadState();
+  const pushed = (await pushOutbox(adapter)) + (await pushEvents(adapter, deviceId));
+
+  const { changes, cursor } = await adapter.pull(loadState().cursor);
+  const remote = changes.filter((c) => c.device !== deviceId);
+  const clock = { ...loadState().clock };
+  // 받아 온 기록이 events 에 붙어도 pushEvents 는 syncId 로 걸러냄
+  const changed = await applyChanges(remote, clock);
+
+  updateState((latest) => ({ clock: mergeClock(latest.clock, clock), cursor, lastSyncedAt: Date.now() }));
+  return { pushed, pulled: remote.length, changed };
+};
+
+/*─────────────────────────────── REST 어댑터 */
+// POST {url}/spaces/{space}/changes  body { changes }            → 204
+// GET  {url}/spaces/{space}/changes?since={cursor}               → { changes, cursor }
+export const createRestAdapter = ({ url, space }) => {
+  const base = `${url.replace(/\/+$/, '')}/spaces/${encodeURIComponent(space)}/changes`;
+  const check = async (res) => {
+    if (!res.ok) throw new Error(`sync server ${res.status}`);
+    return res;
+  };
+  return {
+    push: (changes) =>
+      fetch(base, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ changes }),
+      }).then(check),
+    pull: (cursor) =>
+      fetch(`${base}?since=${cursor}`)
+        .then(check)
+        .then((res) => res.json()),
+  };
+};
@@ -0,0 +1,86 @@
+import { getWordId } from './words';
+
+/**
+ * 약한 단어 (자동 수집)
+ *   • 학습 기록(lib/stats)을 시간순으로 훑어 단어별 점수를 매김 – 따로 저장하는 상태 없음.
+ *     - 틀림(grade again / 퀴즈 오답) 3점, 별표 2점, 뒤집기까지 오래 걸림·느린 정답 각 1점.
+ *     - 별표를 빼도(removeFromConfusing) 기록은 남으므로 점수는 졸업할 때까지 유지.
+ *   • 졸업: GRADUATE_AFTER 번 연속으로 맞히면 그때까지의 점수를 지움 → 다시 틀리면 새로 쌓임.
+ *   • 결과: [{ word, wordId, score, streak, reasons }] – 점수 높은 순, reasons 는 화면에 그대로 보여줄 문구.
+ */
+export const GRADUATE_AFTER = 3;
+export const WEAK_MIN_SCORE = 2;
+const FLIP_SLOW_MS = 6000;
+const IDLE_MS = 2 * 60 * 1000; // 카드를 띄워 두고 자리를 비운 경우는 느린 뒤집기로 보지 않음
+
+const POINTS = { misses: 3, stars: 2, slowFlips: 1, slowAnswers: 1 };
+const REASONS = [
+  ['misses', (n) => `틀림 ${n}회`],
+  ['stars', (n) => `별표 ${n}회`],
+  ['slowFlips', (n) => `뒤집기까지 오래 걸림 ${n}회`],
+  ['slowAnswers', (n) => `맞혔지만 느림 ${n}회`],
+];
+
+const emptyTally = () => ({ misses: 0, stars: 0, slowFlips: 0, slowAnswers: 0, streak: 0 });
+
+const isAttempt = (e) => e.type === 'grade' || e.type === 'answer';
+const isMiss = (e) => (e.type === 'grade' ? e.grade === 'again' : !e.correct);
+
+/*─────────────────────────────── 단어별 집계 */
+export const tallyWeakness = (events, starred = []) => {
+  // star 기록이 생기기 전에 별표한 단어는 starredAt 에 별표 한 번으로 침
+  const loggedStars = new Set(events.filter((e) => e.type === 'star').map((e) => e.wordId));
+  const legacyStars = starred
+    .map((w) => ({ type: 'star', wordId: getWordId(w), ts: w.starredAt ?? 0 }))
+    .filter((e) => !loggedStars.has(e.wordId));
+
+  const tallies = new Map();
+  const lastView = new Map();
+  [...events, ...legacyStars]
+    .filter((e) => e.wordId)
+    .sort((a, b) => a.ts - b.ts)
+    .forEach((e) => {
+      const t = tallies.get(e.wordId) || emptyTally();
+      tallies.set(e.wordId, t);
+      if (e.type === 'view') lastView.set(e.wordId, e.ts);
+      else if (e.type === 'flip') {
+        const gap = e.ts - (lastView.get(e.wordId) ?? e.ts);
+        if (gap > FLIP_SLOW_MS && gap < IDLE_MS) t.slowFlips += 1;
+        lastView.delete(e.wordId);
+      } else if (e.type === 'star') t.stars += 1;
+      else if (isAttempt(e)) {
+        if (isMiss(e)) {
+          t.misses += 1;
+          t.streak = 0;
+          return;
+        }
+        if (e.slow) t.slowAnswers += 1;
+        t.streak += 1;
+        if (t.streak >= GRADUATE_AFTER) tallies.set(e.wordId, emptyTally());
+      }
+    });
+  return tallies;
+};
+
+export const weaknessScore = (tally) =>
+  Object.entries(POINTS).reduce((sum, [key, points]) => sum + tally[key] * points, 0);
+
+/*─────────────────────────────── 약한 단어 덱 */
+// pool: 단어 객체를 찾을 곳(현재 덱 + 별표) – 다른 덱에만 있는 단어는 빠짐
+export const buildWeakDeck = (events, pool, starred = []) => {
+  const byId = new Map();
+  pool.forEach((w) => {
+    const id = getWordId(w);
+    if (id && !byId.has(id)) byId.set(id, w);
+  });
+  return [...tallyWeakness(events, starred)]
+    .map(([wordId, tally]) => ({
+      word: byId.get(wordId),
+      wordId,
+      score: weaknessScore(tally),
+      streak: tally.streak,
+      reasons: REASONS.filter(([key]) => tally[key] > 0).map(([key, label]) => label(tally[key])),
+    }))
+    .filter((e) => e.word && e.score >= WEAK_MIN_SCORE)
+    .sort((a, b) => b.score - a.score || a.wordId.localeCompare(b.wordId));
+};
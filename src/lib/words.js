@@ -0,0 +1,35 @@
+/**
+ * 단어 유틸
+ *   • 단어 객체: { term(영어 표제어), meaning(뜻), pos?, example?, synonyms?, antonyms?, mnemonic? }
+ *   • 식별자는 getWordId(표제어 소문자) – 덱·열 순서가 바뀌어도 같음. 별표·SRS·메모 모두 이 키를 씀.
+ *   • 예전 localStorage 데이터는 CSV 행 그대로({ 영어, 한글 }) – normalizeWord 로 변환.
+ */
+
+/*─────────────────────────────── 예전 행 → 단어 객체 */
+export const normalizeWord = (row) => {
+  if (!row || 'term' in row) return row;
+  // word.csv 헤더가 `영어,한글` → 첫 열이 표제어
+  const [term = '', meaning = ''] = Object.values(row);
+  return { term: String(term).trim(), meaning: String(meaning).trim() };
+};
+
+/*─────────────────────────────── 단어 식별자 */
+export const getWordId = (word) => {
+  if (!word) return '';
+  return String(normalizeWord(word).term).trim().toLowerCase();
+};
+
+/*─────────────────────────────── 표시용 분해 */
+export const splitWord = (word) => {
+  if (!word) return { korean: '', english: '' };
+  const { term, meaning } = normalizeWord(word);
+  return { korean: meaning || '', english: term || '' };
+};
+
+/*─────────────────────────────── 부가 정보 (카드 뒷면·리스트 타일) */
+export const DETAIL_FIELDS = [
+  { field: 'example', label: '예문' },
+  { field: 'synonyms', label: '유의어' },
+  { field: 'antonyms', label: '반의어' },
+  { field: 'mnemonic', label: '암기법' },
+];
@@ -0,0 +1,20 @@
+import { splitWord } from './words';
+import { shuffleArray, mulberry32 } from './shuffle';
+
+/**
+ * 시험지(학습지) 만들기
+ *   • options: { direction: 'ko-to-en' | 'en-to-ko', order: 'ordered' | 'shuffled', seed }
+ *   • 결과 문항: { no, prompt, answer } – 문제지와 정답지가 같은 번호를 씀.
+ *   • 섞기는 seed 로 고정 → 미리보기와 인쇄 결과가 같음.
+ */
+export const buildWorksheet = (words, { direction, order, seed }) => {
+  const list = order === 'shuffled' ? shuffleArray(words, mulberry32(seed)) : words;
+  return list.map((word, i) => {
+    const { korean, english } = splitWord(word);
+    return {
+      no: i + 1,
+      prompt: direction === 'ko-to-en' ? korean : english,
+      answer: direction === 'ko-to-en' ? english : korean,
+    };
+  });
+};
@@ -2,6 +2,10 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { initProfiles } from './lib/profiles'
+
+// 저장소 이름공간(프로필)을 정한 뒤에 렌더
+initProfiles()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>